@@ -0,0 +1,87 @@
+// lib/admin-api.js
+// The admin HTTP API (JSON): rooms and their members, closing rooms, kicking users, broadcasts and the moderation log.
+
+/*
+The server mounts it under /admin. It answers only when the server has an adminToken, and every request must send
+"Authorization: Bearer <adminToken>":
+
+   app.use('/admin', createAdminRouter(core));
+
+core is the server's shared state and room helpers (see createSpringsServer); this uses adminToken, cD, io, log,
+moderationLogPath, allRoomNames, roomSummary, roomMembers, closeRoom, kickUser, socketFields and sameString.
+*/
+
+const fs = require('fs');
+const express = require('express');
+
+function createAdminRouter(core) {
+   const { adminToken, cD, io, log, moderationLogPath, allRoomNames, roomSummary, roomMembers, closeRoom, kickUser, socketFields, sameString } = core;
+   const admin = express.Router();
+
+   admin.use(express.json());
+   admin.use(function(req, res, next) {
+      if (!adminToken) return res.status(404).json({'error':'admin API is not enabled'});
+      let supplied = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+      if (!supplied || !sameString(supplied, adminToken)) return res.status(401).json({'error':'bad or missing admin token'});
+      next();
+   });
+
+   admin.get('/rooms', function(req, res) {
+      res.json({'rooms':allRoomNames().map(roomName => roomSummary(roomName))});
+   });
+
+   admin.get('/rooms/:name', function(req, res) {
+      if (!allRoomNames().includes(req.params.name)) return res.status(404).json({'error':'no such room'});
+      res.json(Object.assign(roomSummary(req.params.name), {'members':roomMembers(req.params.name)}));
+   });
+
+   admin.post('/rooms/:name/close', function(req, res) {
+      if (!allRoomNames().includes(req.params.name)) return res.status(404).json({'error':'no such room'});
+      closeRoom(req.params.name, 'admin');
+      res.json({'closed':req.params.name});
+   });
+
+   admin.post('/users/:name/kick', function(req, res) {
+      let clientID = cD.id[req.params.name];
+      if (!clientID) return res.status(404).json({'error':'no such user'});
+      log.info('Admin kicked ' + req.params.name + '.', socketFields(clientID, 'admin-kick'));
+      kickUser(clientID, 'admin');
+      res.json({'kicked':req.params.name});
+   });
+
+   admin.post('/broadcast', function(req, res) {
+      let message = (req.body) ? req.body.message : null;
+      if (!message) return res.status(400).json({'error':'message is required'});
+
+      // To one room if named, otherwise to everyone.
+      let notice = '<strong>Server notice:</strong> ' + message;
+      if (req.body.room) {
+         io.to(req.body.room).emit('chat message', notice);
+      } else {
+         io.emit('chat message', notice);
+      }
+      log.info('Admin broadcast' + ((req.body.room) ? ' to ' + req.body.room : '') + ': ' + message, {'room':req.body.room || null, 'event':'admin-broadcast'});
+      res.json({'sent':true});
+   });
+
+   admin.get('/moderation', function(req, res) {
+      // The most recent moderation log entries, optionally for one room.
+      let limit = parseInt(req.query.limit) || 100;
+      let lines = (fs.existsSync(moderationLogPath)) ? fs.readFileSync(moderationLogPath, 'utf8').split('\n').filter(line => line != '') : [];
+      let entries = [];
+      for (let line of lines) {
+         // A line cut short by a crash (or otherwise damaged) is skipped.
+         try {
+            entries.push(JSON.parse(line));
+         } catch (error) {
+            continue;
+         }
+      }
+      entries = entries.filter(entry => entry && (!req.query.room || (entry.room == req.query.room)));
+      res.json({'entries':entries.slice(-limit)});
+   });
+
+   return admin;
+}
+
+module.exports = { createAdminRouter };
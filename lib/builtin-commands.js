@@ -0,0 +1,276 @@
+// lib/builtin-commands.js
+// The chat commands every server has: /help, /who, /rooms, /nick, the team and moderation commands, /rr, /dcir, /dac and /login.
+
+/*
+Registered by the server on its command registry (lib/chat-commands.js), the same way a file in commands/ adds its own:
+
+   registerBuiltinCommands(chatCommands, core);
+
+core is the server's shared state and room helpers (see createSpringsServer).
+*/
+
+const { escapeHTML } = require('./sanitize');
+
+function registerBuiltinCommands(chatCommands, core) {
+   const { cD, io, log, adminToken, maxNameLength } = core;
+   const { displayNameHTML, allRoomNames, lobbyEntry, lobbyList, nameInUse, announceNameChange, setTeam, teamRoster, balanceTeams,
+           sendTeamChat, setRoomLock, findUser, kickUser, setMuted, setBlocked, logModeration, roomReport, disconnectClientsInOneRoom,
+           disconnectClientsInAllRooms, sameString, socketFields } = core;
+
+   chatCommands.register('help', {
+      'usage': '[command]',
+      'help': 'List the commands you can use, or show how to use one.',
+      'run': function(context, args) {
+         let describe = (name, spec) => '/' + name + ((spec.usage) ? ' ' + spec.usage : '') + ' : ' + spec.help;
+         if (args[0]) {
+            let name = args[0].replace(/^\//, '');
+            let spec = chatCommands.lookup(name);
+            context.reply((spec) ? describe(name, spec) : 'No such command.');
+            return;
+         }
+         let lines = chatCommands.list(context.roles).map(command => describe(command.name, command));
+         context.reply('Commands:<br>' + lines.join('<br>'));
+      }
+   });
+
+   chatCommands.register('ping', {
+      'help': 'Check that the server is answering.',
+      'run': function(context) {
+         context.reply('pong (server time ' + new Date().toISOString() + ')');
+      }
+   });
+
+   chatCommands.register('who', {
+      'room': true,
+      'help': 'List the people in your room.',
+      'run': function(context) {
+         let names = [];
+         for (let socket_id in cD.userName) {
+            if (cD.room[socket_id] == context.roomName) names.push(displayNameHTML(socket_id, 'prens'));
+         }
+         context.reply('In room ' + escapeHTML(context.roomName) + ': ' + names.join(', '));
+      }
+   });
+
+   chatCommands.register('rooms', {
+      'help': 'List the rooms in the lobby (admins see every room).',
+      'run': function(context) {
+         let rooms = (context.roles.includes('admin')) ? allRoomNames().map(roomName => lobbyEntry(roomName)) : lobbyList();
+         if (rooms.length == 0) return context.reply('No rooms.');
+         context.reply('Rooms: ' + rooms.map(room => escapeHTML(room.name) + ' (' + room.playerCount + ((room.locked) ? ', locked' : '') + ')').join(', '));
+      }
+   });
+
+   chatCommands.register('nick', {
+      'usage': '<nick name>',
+      'help': 'Change your nick name.',
+      'minArgs': 1,
+      'run': function(context, args) {
+         let nickName = args.join(' ').slice(0, maxNameLength);
+         if (nameInUse(nickName, cD.nickName)) nickName += context.userName.slice(1);
+         cD.nickName[context.socketID] = nickName;
+         announceNameChange(context.socketID);
+         context.reply('Your nick name is now ' + escapeHTML(nickName) + '.');
+      }
+   });
+
+   chatCommands.register('team', {
+      'usage': '<team name | none>',
+      'help': 'Change your team.',
+      'minArgs': 1,
+      'run': function(context, args) {
+         let teamName = (args[0] == 'none') ? null : args.join(' ').slice(0, maxNameLength);
+         let problem = setTeam(context.socketID, teamName);
+         if (problem == 'no-such-team') return context.reply('There is no team ' + escapeHTML(teamName) + ' here. Try /teams.');
+         if (problem == 'team-full') return context.reply('Team ' + escapeHTML(teamName) + ' is full.');
+         teamName = cD.teamName[context.socketID];
+         context.reply((teamName) ? 'Your team is now ' + escapeHTML(teamName) + '.' : 'You are not on a team.');
+      }
+   });
+
+   chatCommands.register('teams', {
+      'room': true,
+      'help': 'List the teams in your room.',
+      'run': function(context) {
+         if (!cD.teams[context.roomName]) return context.reply('Room ' + escapeHTML(context.roomName) + ' has no set teams. Pick any name with /team.');
+         let roster = teamRoster(context.roomName);
+         context.reply(roster.teams.map(team => '<strong>' + escapeHTML(team.name) + '</strong> (' + team.members.length + ((team.maxSize) ? '/' + team.maxSize : '') + '): ' +
+                                                team.members.map(member => escapeHTML(member.nickName || member.userName)).join(', ')).join('<br>'));
+      }
+   });
+
+   chatCommands.register('balance', {
+      'roles': ['host'],
+      'room': true,
+      'help': 'Even out the team sizes in your room.',
+      'run': function(context) {
+         if (!cD.teams[context.roomName]) return context.reply('Set up teams first (team-setup).');
+         let moves = balanceTeams(context.roomName);
+         context.reply((moves > 0) ? 'Teams balanced (' + moves + ' moved).' : 'The teams are already balanced.');
+      }
+   });
+
+   chatCommands.register('t', {
+      'usage': '<message>',
+      'help': 'Chat with your team only.',
+      'minArgs': 1,
+      'run': function(context, args) {
+         sendTeamChat(context.socketID, args.join(' '));
+      }
+   });
+
+   chatCommands.register('lock', {
+      'roles': ['host'],
+      'room': true,
+      'usage': '[off]',
+      'help': 'Lock your room against new joins (/lock off to unlock).',
+      'run': function(context, args) {
+         let locked = (args[0] != 'off');
+         setRoomLock(context.roomName, locked);
+         context.reply('Room ' + escapeHTML(context.roomName) + ' is ' + ((locked) ? 'locked' : 'unlocked') + '.');
+      }
+   });
+
+   chatCommands.register('kick', {
+      'roles': ['host'],
+      'usage': '<name>',
+      'help': 'Disconnect a user from your room (admins: from any room).',
+      'minArgs': 1,
+      'run': function(context, args) {
+         let clientID = findUser(args[0], (context.roles.includes('admin')) ? null : context.roomName);
+         if (!clientID) return context.reply('No user ' + escapeHTML(args[0]) + ' in your room.');
+         if (clientID == context.socketID) return context.reply('You cannot kick yourself.');
+         logModeration(cD.room[clientID], 'kick', context.socketID, cD.userName[clientID]);
+         kickUser(clientID, (context.roles.includes('host')) ? 'host' : 'admin');
+         context.reply(escapeHTML(args[0]) + ' has been asked to leave.');
+      }
+   });
+
+   chatCommands.register('mute', {
+      'roles': ['host'],
+      'room': true,
+      'usage': '<name>',
+      'help': 'Stop relaying chat from a user in your room.',
+      'minArgs': 1,
+      'run': function(context, args) {
+         let clientID = findUser(args[0], context.roomName);
+         if (!clientID) return context.reply('No user ' + escapeHTML(args[0]) + ' in your room.');
+         setMuted(context.roomName, cD.userName[clientID], true);
+         logModeration(context.roomName, 'mute', context.socketID, cD.userName[clientID]);
+         io.to(clientID).emit('chat message', 'You have been muted by the host.');
+         context.reply(escapeHTML(args[0]) + ' is muted.');
+      }
+   });
+
+   chatCommands.register('unmute', {
+      'roles': ['host'],
+      'room': true,
+      'usage': '<name>',
+      'help': 'Relay chat from a muted user again.',
+      'minArgs': 1,
+      'run': function(context, args) {
+         let clientID = findUser(args[0], context.roomName);
+         if (!clientID) return context.reply('No user ' + escapeHTML(args[0]) + ' in your room.');
+         setMuted(context.roomName, cD.userName[clientID], false);
+         logModeration(context.roomName, 'unmute', context.socketID, cD.userName[clientID]);
+         context.reply(escapeHTML(args[0]) + ' is no longer muted.');
+      }
+   });
+
+   chatCommands.register('block', {
+      'roles': ['host'],
+      'room': true,
+      'usage': '<name>',
+      'help': 'Remove a user from your room and keep them (by user and nick name) from joining again.',
+      'minArgs': 1,
+      'run': function(context, args) {
+         let clientID = findUser(args[0], context.roomName);
+         if (!clientID) return context.reply('No user ' + escapeHTML(args[0]) + ' in your room.');
+         if (clientID == context.socketID) return context.reply('You cannot block yourself.');
+         setBlocked(context.roomName, clientID, true);
+         logModeration(context.roomName, 'block', context.socketID, cD.userName[clientID], cD.nickName[clientID]);
+         kickUser(clientID, 'host');
+         context.reply(escapeHTML(args[0]) + ' is blocked from room ' + escapeHTML(context.roomName) + '.');
+      }
+   });
+
+   chatCommands.register('unblock', {
+      'roles': ['host'],
+      'room': true,
+      'usage': '<user or nick name>',
+      'help': 'Let a blocked user join your room again.',
+      'minArgs': 1,
+      'run': function(context, args) {
+         let list = cD.blocked[context.roomName] || [];
+         let remaining = list.filter(entry => (entry.userName != args[0]) && (entry.nickName != args[0]));
+         if (remaining.length == list.length) return context.reply(escapeHTML(args[0]) + ' is not blocked.');
+         cD.blocked[context.roomName] = remaining;
+         logModeration(context.roomName, 'unblock', context.socketID, args[0]);
+         context.reply(escapeHTML(args[0]) + ' is no longer blocked.');
+      }
+   });
+
+   chatCommands.register('modlist', {
+      'roles': ['host'],
+      'room': true,
+      'help': 'Show who is muted and who is blocked in your room.',
+      'run': function(context) {
+         let muted = (cD.muted[context.roomName] || []).map(userName => escapeHTML(userName));
+         let blocked = (cD.blocked[context.roomName] || []).map(entry => escapeHTML(entry.userName) + ((entry.nickName) ? ' (' + escapeHTML(entry.nickName) + ')' : ''));
+         context.reply('Muted: ' + ((muted.length) ? muted.join(', ') : 'nobody') + '<br>Blocked: ' + ((blocked.length) ? blocked.join(', ') : 'nobody'));
+      }
+   });
+
+   chatCommands.register('clearchat', {
+      'roles': ['host'],
+      'room': true,
+      'help': 'Clear the chat history that new arrivals to your room receive.',
+      'run': function(context) {
+         delete cD.chatHistory[context.roomName];
+         context.reply('Chat history for room ' + escapeHTML(context.roomName) + ' cleared.');
+      }
+   });
+
+   chatCommands.register('rr', {
+      'roles': ['host'],
+      'help': 'Room report: connections, and who is in each room.',
+      'run': function(context) {
+         context.reply(roomReport());
+      }
+   });
+
+   chatCommands.register('dcir', {
+      'roles': ['host'],
+      'room': true,
+      'help': 'Disconnect all the clients in your room.',
+      'run': function(context) {
+         disconnectClientsInOneRoom(context.roomName);
+      }
+   });
+
+   chatCommands.register('dac', {
+      'roles': ['admin'],
+      'help': 'Disconnect the clients in every room.',
+      'run': function(context) {
+         disconnectClientsInAllRooms();
+      }
+   });
+
+   chatCommands.register('login', {
+      'usage': '<admin token>',
+      'help': 'Log in as admin.',
+      'minArgs': 1,
+      'run': function(context, args) {
+         if (adminToken && sameString(args[0], adminToken)) {
+            cD.admin[context.socketID] = true;
+            log.info(context.userName + ' logged in as admin.', socketFields(context.socketID, 'login'));
+            context.reply('You are logged in as admin.');
+         } else {
+            log.warn('Failed admin login by ' + context.userName + '.', socketFields(context.socketID, 'login'));
+            context.reply('Admin login failed.');
+         }
+      }
+   });
+}
+
+module.exports = { registerBuiltinCommands };
@@ -0,0 +1,184 @@
+// lib/certificates.js
+// Development HTTPS: a local certificate authority, and a server certificate from it that covers the LAN.
+
+/*
+Phones and laptops on the LAN reach the development server by IP address or host name, so a certificate for
+CN=localhost alone fails there. At startup (server.js):
+
+   let certificates = ensureCertificates({'sslDir':sslDir, 'subject':'localhost', 'lifetime_d':365, 'log':log});
+   // {key, cert, caCertPath, names, issued}
+
+makes, once, a local CA (ssl/ca-key.pem, ssl/ca-cert.pem), and issues the server certificate (ssl/key.pem,
+ssl/cert.pem) from it with subject alternative names for localhost, the subject, this machine's host name, and
+every local IP address. The server certificate is issued again when it is missing, is not from the CA, is due for
+renewal (see renewalDue), or doesn't name every current address (a new Wi-Fi network, say). The CA is kept
+until it nears its own expiry, so a device only has to trust it once: the page offers it at /ca.crt.
+
+ssl/ is private: the CA key signs certificates that the trusting devices will accept for any name.
+
+OpenSSL does the work. Without it, the selfsigned package makes a self-signed certificate with the same names
+(and there is no CA to install).
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const caLifetime_d = 10 * 365;
+const renewWithin_d = 30;
+
+function localNames(subject) {
+   // The DNS names and IP addresses the server can be reached by from here and the LAN.
+   let dns = new Set(['localhost', subject]);
+   let hostName = os.hostname();
+   if (hostName) {
+      dns.add(hostName);
+      if (!hostName.includes('.')) dns.add(hostName + '.local');    // mDNS (Bonjour) name
+   }
+   let ips = new Set(['127.0.0.1', '::1']);
+   for (let addresses of Object.values(os.networkInterfaces())) {
+      for (let address of addresses) {
+         // Link-local IPv6 addresses need a zone, which a URL can't carry.
+         if (!address.internal && !address.address.startsWith('fe80:')) ips.add(address.address);
+      }
+   }
+   return {'dns':Array.from(dns).filter(name => /^[A-Za-z0-9.-]+$/.test(name)), 'ips':Array.from(ips)};
+}
+
+function readCertificate(certPath) {
+   // null if missing or unreadable.
+   try {
+      return new crypto.X509Certificate(fs.readFileSync(certPath));
+   } catch (error) {
+      return null;
+   }
+}
+
+function daysLeft(certificate) {
+   return (Date.parse(certificate.validTo) - Date.now()) / (24 * 60 * 60 * 1000);
+}
+
+function renewalDue(certificate) {
+   // Within renewWithin_d days of expiring, or in the last third of a shorter lifetime (so that a fresh one isn't due).
+   let lifetime_d = (Date.parse(certificate.validTo) - Date.parse(certificate.validFrom)) / (24 * 60 * 60 * 1000);
+   return daysLeft(certificate) < Math.min(renewWithin_d, lifetime_d / 3);
+}
+
+function missingNames(certificate, names) {
+   // The names the certificate's SANs don't cover. (X509Certificate writes IPv6 addresses in full, so compare parsed.)
+   let sans = (certificate.subjectAltName || '').split(', ');
+   let dns = sans.filter(san => san.startsWith('DNS:')).map(san => san.slice(4).toLowerCase());
+   let ips = sans.filter(san => san.startsWith('IP Address:')).map(san => normalizeIP(san.slice(11)));
+   return names.dns.filter(name => !dns.includes(name.toLowerCase())).concat(names.ips.filter(ip => !ips.includes(normalizeIP(ip))));
+}
+
+function normalizeIP(ip) {
+   if (!ip.includes(':')) return ip;
+   // Expand :: and drop leading zeros, so 0:0:0:0:0:0:0:1 and ::1 compare equal.
+   let [head, tail] = (ip.includes('::')) ? ip.split('::') : [ip, null];
+   let headParts = (head) ? head.split(':') : [];
+   let tailParts = (tail) ? tail.split(':') : [];
+   let parts = (tail === null) ? headParts : headParts.concat(new Array(8 - headParts.length - tailParts.length).fill('0'), tailParts);
+   return parts.map(part => parseInt(part, 16).toString(16)).join(':');
+}
+
+function reissueReason(certificate, caCertificate, names) {
+   // Why the server certificate must be issued again, or null if it's fine.
+   if (!certificate) return 'there is none';
+   if (!caCertificate || !certificate.checkIssued(caCertificate) || !certificate.verify(caCertificate.publicKey)) return 'it is not from the local CA';
+   if (renewalDue(certificate)) return 'it expires ' + certificate.validTo;
+   let missing = missingNames(certificate, names);
+   if (missing.length > 0) return 'it does not cover ' + missing.join(', ');
+   return null;
+}
+
+function openSSL(args) {
+   execFileSync('openssl', args, {'stdio':'pipe'});
+}
+
+function createCA(sslDir) {
+   let hostName = os.hostname().replace(/[^A-Za-z0-9.-]/g, '') || 'localhost';
+   openSSL(['req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256', '-days', String(caLifetime_d),
+            '-keyout', path.join(sslDir, 'ca-key.pem'), '-out', path.join(sslDir, 'ca-cert.pem'),
+            '-subj', '/O=Springs & Pucks/CN=Springs & Pucks local CA (' + hostName + ')',
+            '-addext', 'basicConstraints=critical,CA:TRUE', '-addext', 'keyUsage=critical,keyCertSign,cRLSign']);
+   fs.chmodSync(path.join(sslDir, 'ca-key.pem'), 0o600);
+}
+
+function issueCertificate(sslDir, subject, lifetime_d, names) {
+   let keyPath = path.join(sslDir, 'key.pem');
+   let requestPath = path.join(sslDir, 'server.csr');
+   let extensionsPath = path.join(sslDir, 'server.ext');
+   let altNames = names.dns.map(name => 'DNS:' + name).concat(names.ips.map(ip => 'IP:' + ip));
+   fs.writeFileSync(extensionsPath, ['basicConstraints=CA:FALSE', 'keyUsage=critical,digitalSignature,keyEncipherment',
+                                     'extendedKeyUsage=serverAuth', 'subjectAltName=' + altNames.join(',')].join('\n') + '\n');
+   try {
+      openSSL(['req', '-newkey', 'rsa:2048', '-nodes', '-keyout', keyPath, '-out', requestPath, '-subj', '/CN=' + subject]);
+      openSSL(['x509', '-req', '-sha256', '-in', requestPath, '-CA', path.join(sslDir, 'ca-cert.pem'), '-CAkey', path.join(sslDir, 'ca-key.pem'),
+               '-set_serial', '0x' + crypto.randomBytes(16).toString('hex'), '-days', String(lifetime_d),
+               '-extfile', extensionsPath, '-out', path.join(sslDir, 'cert.pem')]);
+      fs.chmodSync(keyPath, 0o600);
+   } finally {
+      for (let tempPath of [requestPath, extensionsPath]) fs.rmSync(tempPath, {'force':true});
+   }
+}
+
+function selfSignedCertificate(sslDir, subject, lifetime_d, names) {
+   const selfsigned = require('selfsigned');
+   let altNames = names.dns.map(name => ({'type':2, 'value':name})).concat(names.ips.map(ip => ({'type':7, 'ip':ip})));
+   let pems = selfsigned.generate([{'name':'commonName', 'value':subject}], {'days':lifetime_d, 'keySize':2048, 'algorithm':'sha256',
+                                  'extensions':[{'name':'basicConstraints', 'cA':false}, {'name':'subjectAltName', 'altNames':altNames}]});
+   fs.writeFileSync(path.join(sslDir, 'key.pem'), pems.private, {'mode':0o600});
+   fs.writeFileSync(path.join(sslDir, 'cert.pem'), pems.cert);
+}
+
+function ensureCertificates(options) {
+   let sslDir = options.sslDir;
+   let log = options.log;
+   let fields = {'event':'startup'};
+   fs.mkdirSync(sslDir, { recursive: true, mode: 0o700 });
+   let names = localNames(options.subject);
+   let caCertPath = path.join(sslDir, 'ca-cert.pem');
+   let keyPath = path.join(sslDir, 'key.pem');
+   let certPath = path.join(sslDir, 'cert.pem');
+   let issued = false;
+
+   try {
+      let caCertificate = readCertificate(caCertPath);
+      if (!caCertificate || !fs.existsSync(path.join(sslDir, 'ca-key.pem')) || renewalDue(caCertificate)) {
+         log.info('Creating the local certificate authority (ssl/ca-cert.pem)...', fields);
+         createCA(sslDir);
+         if (caCertificate) log.warn('New local CA: devices that trusted the old one need to install this one (from /ca.crt).', fields);
+         caCertificate = readCertificate(caCertPath);
+      }
+      let reason = reissueReason(readCertificate(certPath), caCertificate, names);
+      if (reason) {
+         log.info('Issuing the server certificate, because ' + reason + '...', fields);
+         issueCertificate(sslDir, options.subject, options.lifetime_d, names);
+         issued = true;
+      }
+   } catch (error) {
+      // No OpenSSL (or it failed): a self-signed certificate, unless there is a usable one already.
+      let certificate = readCertificate(certPath);
+      caCertPath = null;
+      if (!certificate || renewalDue(certificate) || (missingNames(certificate, names).length > 0)) {
+         log.warn('Could not use OpenSSL (' + error.message.split('\n')[0] + '). Using built-in self-signed certificate generation.', fields);
+         selfSignedCertificate(sslDir, options.subject, options.lifetime_d, names);
+         issued = true;
+      }
+   }
+
+   let certificate = readCertificate(certPath);
+   log.info('Certificate for ' + names.dns.concat(names.ips).join(', ') + ', valid until ' + certificate.validTo + '.', fields);
+   return {
+      'key': fs.readFileSync(keyPath),
+      'cert': fs.readFileSync(certPath),
+      'caCertPath': caCertPath,
+      'names': names,
+      'issued': issued
+   };
+}
+
+module.exports = { ensureCertificates, localNames };
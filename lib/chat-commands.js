@@ -0,0 +1,93 @@
+// lib/chat-commands.js
+// Slash commands typed into the chat (e.g. "/kick bob"): a registry, permissions by role, and argument parsing.
+
+/*
+A command is registered with a spec (a command that throws is logged to options.log and answered with "failed"):
+
+   let commands = createCommandRegistry({'log':log});
+   commands.register('kick', {
+      'roles': ['host'],              // who may use it: 'client', 'host', 'admin' (admins may use anything)
+      'room': true,                   // only from inside a room (admins too)
+      'usage': '<name>',
+      'help': 'Disconnect a user from your room.',
+      'minArgs': 1,
+      'aliases': ['boot'],
+      'run': function(context, args) { ... context.reply('...'); }
+   });
+
+The context is built by the server for each message: the socket, user and room names, the roles the sender
+has, and reply() for answering the sender.
+*/
+
+const { createLogger } = require('./log');
+
+// Split a command line into words; double quotes keep spaces together: /kick "big bob"
+function parseCommandLine(text) {
+   let words = [];
+   let pattern = /"([^"]*)"|(\S+)/g, match;
+   while ((match = pattern.exec(text)) !== null) {
+      words.push((match[1] !== undefined) ? match[1] : match[2]);
+   }
+   let name = (words.shift() || '').replace(/^\//, '').toLowerCase();
+   return {'name':name, 'args':words};
+}
+
+function createCommandRegistry(options={}) {
+   let log = options.log || createLogger();
+   let commands = new Map();    // name --> spec
+   let aliases = new Map();     // alias --> name
+
+   function allowed(spec, roles) {
+      return roles.includes('admin') || spec.roles.some(role => roles.includes(role));
+   }
+
+   return {
+      'register': function(name, spec) {
+         name = name.toLowerCase();
+         commands.set(name, Object.assign({'roles':['client'], 'room':false, 'usage':'', 'help':'', 'minArgs':0, 'aliases':[]}, spec));
+         for (let alias of commands.get(name).aliases) aliases.set(alias.toLowerCase(), name);
+      },
+
+      'lookup': function(name) {
+         name = name.toLowerCase();
+         return commands.get(name) || commands.get(aliases.get(name));
+      },
+
+      // Commands the roles may use, for /help.
+      'list': function(roles) {
+         let available = [];
+         for (let [name, spec] of commands) {
+            if (allowed(spec, roles)) available.push({'name':name, 'usage':spec.usage, 'help':spec.help, 'roles':spec.roles});
+         }
+         return available.sort((a, b) => a.name.localeCompare(b.name));
+      },
+
+      // Returns false if the text is not a command (so it should be treated as chat).
+      'handle': function(text, context) {
+         if (typeof text !== 'string' || !text.startsWith('/')) return false;
+
+         let { name, args } = parseCommandLine(text);
+         let spec = this.lookup(name);
+         if (!spec) {
+            context.reply('Unknown command /' + name + '. Try /help.');
+         } else if (!allowed(spec, context.roles)) {
+            context.reply('/' + name + ' is for ' + spec.roles.join(' or ') + ' only.');
+         } else if (spec.room && !context.roomName) {
+            context.reply('You are not in a room.');
+         } else if (args.length < spec.minArgs) {
+            context.reply('Usage: /' + name + ' ' + spec.usage);
+         } else {
+            try {
+               spec.run(context, args);
+            } catch (error) {
+               log.error('Chat command /' + name + ' failed: ' + error.stack,
+                         {'socketID':context.socketID, 'userName':context.userName, 'room':context.roomName, 'event':'chat-command'});
+               context.reply('/' + name + ' failed.');
+            }
+         }
+         return true;
+      }
+   };
+}
+
+module.exports = { createCommandRegistry, parseCommandLine };
@@ -0,0 +1,274 @@
+// lib/config.js
+// Server settings: defaults, then a JSON config file, then environment variables, then command-line flags.
+
+/*
+   node server.js --config springs.config.json --idle-timeout 60 --cors-origin https://example.com
+
+The config file (springs.config.json in the working directory, if there is one, or the file named by --config
+or SPRINGS_CONFIG) uses the setting names below:
+
+   {"idleTimeout_m": 60, "corsOrigin": ["https://example.com", "https://www.example.com"]}
+
+Each setting can also come from its environment variable (e.g. SPRINGS_IDLE_TIMEOUT=60) or flag (--idle-timeout 60).
+Everything is checked at startup, and all the problems are reported together.
+
+Settings marked reload are re-read from the same sources when the process gets SIGHUP (kill -HUP <pid>).
+The others need a restart.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const settings = {
+   'port':              {'flag':'port',           'env':'PORT',                   'type':'port',    'default':null,
+                         'help':'Port to listen on (default 3000 in production, 3443 in development).'},
+   'idleTimeout_m':     {'flag':'idle-timeout',   'env':'SPRINGS_IDLE_TIMEOUT',   'type':'minutes', 'default':40,  'reload':true,
+                         'help':'Minutes without chat before an idle socket is disconnected (warning at half time).'},
+   'hostExtension_m':   {'flag':'host-extension', 'env':'SPRINGS_HOST_EXTENSION', 'type':'minutes', 'default':5,   'reload':true,
+                         'help':'Minutes added to an idle host\'s timer while clients remain.'},
+   'hostIdleCap_m':     {'flag':'host-idle-cap',  'env':'SPRINGS_HOST_IDLE_CAP',  'type':'minutes', 'default':180, 'reload':true,
+                         'help':'Idle minutes after which a host is disconnected even with clients.'},
+   'corsOrigin':        {'flag':'cors-origin',    'env':'SPRINGS_CORS_ORIGIN',    'type':'origins', 'default':'*', 'reload':true,
+                         'help':'Allowed origins: * or a comma-separated list of URLs.'},
+   'certSubject':       {'flag':'cert-subject',   'env':'SPRINGS_CERT_SUBJECT',   'type':'string',  'default':'localhost',
+                         'help':'Common name of the development certificate.'},
+   'certLifetime_d':    {'flag':'cert-days',      'env':'SPRINGS_CERT_DAYS',      'type':'days',    'default':365,
+                         'help':'Days the development certificate is valid.'},
+   'restartNotice_s':   {'flag':'restart-notice', 'env':'SPRINGS_RESTART_NOTICE', 'type':'seconds', 'default':5,
+                         'help':'Seconds after startup before the "server has started" chat notice goes out.'},
+   'staticRoot':        {'flag':'static-root',    'env':'SPRINGS_STATIC_ROOT',    'type':'directory', 'default':'.',
+                         'help':'Directory of static files (the client pages).'},
+   'restartExpected_s': {'flag':'restart-expected', 'env':'SPRINGS_RESTART_EXPECTED', 'type':'seconds', 'default':30, 'reload':true,
+                         'help':'Seconds a shutdown is expected to last, announced in server-shutdown.'},
+   'restoreWindow_s':   {'flag':'restore-window', 'env':'SPRINGS_RESTORE_WINDOW', 'type':'seconds', 'default':120,
+                         'help':'Seconds restored rooms wait for their hosts to re-connect after a restart.'},
+   'pingInterval_s':    {'flag':'ping-interval',  'env':'SPRINGS_PING_INTERVAL',  'type':'seconds', 'default':5,
+                         'help':'Seconds between server pings for latency and connection quality (0 turns them off).'},
+   'inputTick_ms':      {'flag':'input-tick',     'env':'SPRINGS_INPUT_TICK',     'type':'milliseconds', 'default':50, 'reload':true,
+                         'help':'Default tick (ms) for rooms whose host turns on input batching (10-1000).'},
+   'relayBandwidth_kBps': {'flag':'relay-bandwidth', 'env':'SPRINGS_RELAY_BANDWIDTH', 'type':'bandwidth', 'default':256, 'reload':true,
+                         'help':'Kilobytes per second each room may send through the server-relayed data channels.'},
+   'stunURLs':          {'flag':'stun-urls',      'env':'SPRINGS_STUN_URLS',      'type':'iceURLs', 'default':['stun:stun.l.google.com:19302'], 'reload':true,
+                         'help':'STUN servers handed to the pages: a comma-separated list of stun: URLs (empty for none).'},
+   'turnURLs':          {'flag':'turn-urls',      'env':'SPRINGS_TURN_URLS',      'type':'iceURLs', 'default':[], 'reload':true,
+                         'help':'TURN servers handed to the pages: a comma-separated list of turn: or turns: URLs.'},
+   'turnSecret':        {'flag':'turn-secret',    'env':'SPRINGS_TURN_SECRET',    'type':'string',  'default':null, 'reload':true,
+                         'help':'Shared secret of the TURN servers (static-auth-secret), for minting their credentials.'},
+   'turnLifetime_m':    {'flag':'turn-lifetime',  'env':'SPRINGS_TURN_LIFETIME',  'type':'minutes', 'default':60, 'reload':true,
+                         'help':'Minutes a TURN credential is good for.'},
+   'rateLimits':        {'flag':'rate-limits',    'env':'SPRINGS_RATE_LIMITS',    'type':'rateLimits', 'default':{
+                            'input':     {'rate':120, 'burst':240},
+                            'signaling': {'rate':50,  'burst':200},
+                            'relay':     {'rate':120, 'burst':240},
+                            'control':   {'rate':60,  'burst':120},
+                            'chat':      {'rate':2,   'burst':8},
+                            'other':     {'rate':30,  'burst':60}},
+                         'help':'Per-socket event budgets, e.g. chat=2/8,input=120/240 (events per second/burst). Budgets not named keep their defaults.'},
+   'logLevel':          {'flag':'log-level',      'env':'SPRINGS_LOG_LEVEL',      'type':'choice',  'default':'info', 'reload':true,
+                         'choices':['debug', 'info', 'warn', 'error'],
+                         'help':'debug, info, warn, or error. debug traces every inbound event with its payload size.'},
+   'logFormat':         {'flag':'log-format',     'env':'SPRINGS_LOG_FORMAT',     'type':'choice',  'default':'text', 'reload':true,
+                         'choices':['text', 'json'],
+                         'help':'text, or json (one object per line).'},
+   'roomLogs':          {'flag':'room-logs',      'env':'SPRINGS_ROOM_LOGS',      'type':'boolean', 'default':false, 'reload':true,
+                         'help':'Also write each room\'s lines to logs/rooms/<room>.log (true or false).'}
+};
+
+const defaultConfigFile = 'springs.config.json';
+
+// Each check returns [value, problem]; text from the environment or a flag arrives as a string.
+const checks = {
+   'choice': function(value, setting) {
+      return (setting.choices.includes(value)) ? [value, null] : [value, 'must be one of ' + setting.choices.join(', ')];
+   },
+   'boolean': function(value) {
+      if (value === true || value === 'true' || value === '1') return [true, null];
+      if (value === false || value === 'false' || value === '0') return [false, null];
+      return [value, 'must be true or false'];
+   },
+   'port': function(value) {
+      let port = toNumber(value);
+      return (Number.isInteger(port) && port > 0 && port < 65536) ? [port, null] : [value, 'must be a port number (1-65535)'];
+   },
+   'minutes': positiveNumber,
+   'bandwidth': positiveNumber,
+   'seconds': function(value) {
+      let number = toNumber(value);
+      return (number >= 0) ? [number, null] : [value, 'must be a number of seconds (0 or more)'];
+   },
+   'milliseconds': function(value) {
+      let ms = toNumber(value);
+      return (Number.isInteger(ms) && ms >= 10 && ms <= 1000) ? [ms, null] : [value, 'must be a whole number of milliseconds (10-1000)'];
+   },
+   'days': function(value) {
+      let days = toNumber(value);
+      return (Number.isInteger(days) && days > 0) ? [days, null] : [value, 'must be a whole number of days'];
+   },
+   'string': function(value) {
+      return (typeof value === 'string' && value.trim() != '') ? [value.trim(), null] : [value, 'must be a non-empty string'];
+   },
+   'origins': function(value) {
+      let origins = (Array.isArray(value)) ? value : String(value).split(',');
+      origins = origins.map(origin => String(origin).trim()).filter(origin => origin != '');
+      if (origins.length == 0) return [value, 'must be * or at least one origin'];
+      if (origins.includes('*')) return ['*', null];
+      let bad = origins.filter(origin => !/^https?:\/\/[^/\s]+$/.test(origin));
+      return (bad.length == 0) ? [origins, null] : [value, 'has origins that are not like https://example.com: ' + bad.join(', ')];
+   },
+   'iceURLs': function(value) {
+      let urls = (Array.isArray(value)) ? value : String(value).split(',');
+      urls = urls.map(url => String(url).trim()).filter(url => url != '');
+      let bad = urls.filter(url => !/^(stun|stuns|turn|turns):[^\s]+$/.test(url));
+      return (bad.length == 0) ? [urls, null] : [value, 'has URLs that are not like stun:host:port or turn:host:port: ' + bad.join(', ')];
+   },
+   'rateLimits': function(value, setting) {
+      // An object like the default ({budget: {rate, burst}}), or text like chat=2/8,input=120/240. Merged into the default.
+      let limits = value;
+      if (typeof value === 'string') {
+         limits = {};
+         for (let item of value.split(',').map(item => item.trim()).filter(item => item != '')) {
+            let match = item.match(/^(\w+)=([\d.]+)\/([\d.]+)$/);
+            if (!match) return [value, 'has "' + item + '", which is not like chat=2/8'];
+            limits[match[1]] = {'rate':Number(match[2]), 'burst':Number(match[3])};
+         }
+      }
+      if (!limits || typeof limits !== 'object' || Array.isArray(limits)) return [value, 'must be an object of budgets, or text like chat=2/8'];
+      let merged = Object.assign({}, setting.default);
+      for (let budget in limits) {
+         let limit = limits[budget];
+         if (!setting.default[budget]) return [value, 'names an unknown budget "' + budget + '" (known: ' + Object.keys(setting.default).join(', ') + ')'];
+         if (!limit || !(toNumber(limit.rate) > 0) || !(toNumber(limit.burst) >= 1)) return [value, 'needs a rate above 0 and a burst of at least 1 for "' + budget + '"'];
+         merged[budget] = {'rate':toNumber(limit.rate), 'burst':toNumber(limit.burst)};
+      }
+      return [merged, null];
+   },
+   'directory': function(value) {
+      if (typeof value !== 'string' || value == '') return [value, 'must be a directory path'];
+      return (fs.existsSync(value) && fs.statSync(value).isDirectory()) ? [value, null] : [value, 'is not a directory: ' + value];
+   }
+};
+
+function toNumber(value) {
+   // Numbers, or text that is a number; anything else is NaN.
+   if (typeof value === 'number') return value;
+   return (typeof value === 'string' && value.trim() != '') ? Number(value) : NaN;
+}
+
+function positiveNumber(value) {
+   let number = toNumber(value);
+   return (number > 0) ? [number, null] : [value, 'must be a number greater than 0'];
+}
+
+function parseFlags(argv) {
+   // --name value or --name=value. Returns {flags, problems}.
+   let flags = {}, problems = [];
+   for (let i = 0; i < argv.length; i++) {
+      let match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+      if (!match) {
+         problems.push('Unexpected argument "' + argv[i] + '".');
+         continue;
+      }
+      let value = match[2];
+      if (match[1] == 'help') value = true;
+      if (value === undefined) {
+         value = argv[i + 1];
+         i++;
+      }
+      if (value === undefined) {
+         problems.push('--' + match[1] + ' needs a value.');
+         continue;
+      }
+      flags[match[1]] = value;
+   }
+   return {'flags':flags, 'problems':problems};
+}
+
+function usage() {
+   let lines = ['Usage: node server.js [--config <file>] [options]', '', 'Options (environment variable in brackets):'];
+   for (let name in settings) {
+      let setting = settings[name];
+      lines.push('  --' + setting.flag.padEnd(18) + setting.help + ' [' + setting.env + ']' + ((setting.reload) ? ' (reloads on SIGHUP)' : ''));
+   }
+   return lines.join('\n');
+}
+
+function readSettings(argv, env) {
+   // Returns {values, file, problems}.
+   let { flags, problems } = parseFlags(argv);
+   let byFlag = {};
+   for (let name in settings) byFlag[settings[name].flag] = name;
+   for (let flag in flags) {
+      if (!byFlag[flag] && flag != 'config' && flag != 'help') problems.push('Unknown option --' + flag + '.');
+   }
+
+   // The config file is optional unless it was named.
+   let file = flags['config'] || env.SPRINGS_CONFIG || null;
+   let fromFile = {};
+   if (file || fs.existsSync(defaultConfigFile)) {
+      file = path.resolve(file || defaultConfigFile);
+      try {
+         fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+         if (!fromFile || typeof fromFile !== 'object' || Array.isArray(fromFile)) throw new Error('expected a JSON object');
+      } catch (error) {
+         problems.push('Could not read the config file ' + file + ': ' + error.message);
+         fromFile = {};
+      }
+      for (let name in fromFile) {
+         if (!settings[name]) problems.push('Unknown setting "' + name + '" in ' + file + '.');
+      }
+   }
+
+   let values = {};
+   for (let name in settings) {
+      let setting = settings[name];
+      let source = null, value = setting.default;
+      if (fromFile[name] !== undefined) { value = fromFile[name]; source = file; }
+      if (env[setting.env] !== undefined) { value = env[setting.env]; source = setting.env; }
+      if (flags[setting.flag] !== undefined) { value = flags[setting.flag]; source = '--' + setting.flag; }
+
+      if (source && value !== null) {
+         let [checked, problem] = checks[setting.type](value, setting);
+         if (problem) problems.push(name + ' (from ' + source + ') ' + problem + '.');
+         value = checked;
+      }
+      values[name] = value;
+   }
+   return {'values':values, 'file':file, 'problems':problems, 'help':(flags['help'] !== undefined)};
+}
+
+function createConfig(options={}) {
+   let argv = options.argv || [];
+   let env = options.env || {};
+   let first = readSettings(argv, env);
+   if (first.help) {
+      console.log(usage());
+      process.exit(0);
+   }
+   if (first.problems.length > 0) throw new Error('Bad configuration:\n  ' + first.problems.join('\n  '));
+
+   // The same object is handed out for the life of the process, so code that reads it sees reloads.
+   let values = first.values;
+
+   return {
+      'values': values,
+      'file': first.file,
+      // Re-read everything; apply the settings that can change on the fly. Returns {applied, needRestart} (setting names).
+      'reload': function() {
+         let next = readSettings(argv, env);
+         if (next.problems.length > 0) throw new Error('Bad configuration:\n  ' + next.problems.join('\n  '));
+         let applied = [], needRestart = [];
+         for (let name in settings) {
+            if (JSON.stringify(next.values[name]) == JSON.stringify(values[name])) continue;
+            if (settings[name].reload) {
+               values[name] = next.values[name];
+               applied.push(name);
+            } else {
+               needRestart.push(name);
+            }
+         }
+         return {'applied':applied, 'needRestart':needRestart};
+      }
+   };
+}
+
+module.exports = { createConfig, settings, usage };
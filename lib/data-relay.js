@@ -0,0 +1,110 @@
+// lib/data-relay.js
+// A stand-in for the WebRTC data channels of one room, for pairs that could not connect peer to peer.
+
+/*
+Once a host and a client have agreed to relay (relay-negotiate, in lib/springs-server.js), their data goes
+through the server:
+
+   let relay = createRoomRelay({'bytesPerSecond':() => 256 * 1024, 'deliver':function(toID, channel, payload, bytes) { ... }});
+   relay.send(fromID, toID, 'ordered', payload, bytes);     // 'sent', 'queued' or 'overflow'
+   relay.send(fromID, toID, 'unordered', payload, bytes);   // 'sent' or 'dropped'
+   ...
+   relay.stop();
+
+The room shares one byte budget (a token bucket holding one second's worth). The channels behave like their
+data channel counterparts when the budget runs out:
+
+   ordered    reliable and in order: messages wait in a queue (up to queueMaxBytes) and go out as the budget
+              refills. Past that the message is refused (overflow), so the sender can slow down.
+   unordered  unreliable: over budget the message is dropped. deliver should send it as volatile.
+
+Usage counts (messages by result, bytes sent by channel) are in relay.usage().
+*/
+
+function createRoomRelay(options) {
+   let bytesPerSecond = options.bytesPerSecond;     // a function, so that a changed setting takes effect
+   let deliver = options.deliver;
+   let queueMaxBytes = options.queueMaxBytes || 1024 * 1024;
+
+   let bucket = {'bytes':bytesPerSecond(), 'last':Date.now()};
+   let queue = [];           // ordered messages waiting for budget: {fromID, toID, payload, bytes}
+   let queuedBytes = 0;
+   let timer = null;
+   let usage = {'messages':{'sent':0, 'queued':0, 'dropped':0, 'overflow':0}, 'bytes':{'ordered':0, 'unordered':0}};
+
+   function refill() {
+      let now = Date.now();
+      let rate = bytesPerSecond();
+      bucket.bytes = Math.min(rate, bucket.bytes + (now - bucket.last) / 1000 * rate);
+      bucket.last = now;
+   }
+
+   function take(bytes) {
+      // A message bigger than the whole bucket goes out once the bucket is full (and takes it into debt).
+      refill();
+      if ((bucket.bytes < bytes) && (bucket.bytes < bytesPerSecond())) return false;
+      bucket.bytes -= bytes;
+      return true;
+   }
+
+   function forward(toID, channel, payload, bytes) {
+      deliver(toID, channel, payload, bytes);
+      usage.bytes[channel] += bytes;
+   }
+
+   function drain() {
+      timer = null;
+      while ((queue.length > 0) && take(queue[0].bytes)) {
+         let message = queue.shift();
+         queuedBytes -= message.bytes;
+         forward(message.toID, 'ordered', message.payload, message.bytes);
+      }
+      if (queue.length > 0) {
+         // Wait until the budget covers the next one.
+         let wait_ms = Math.max(10, 1000 * (Math.min(queue[0].bytes, bytesPerSecond()) - bucket.bytes) / bytesPerSecond());
+         timer = setTimeout(drain, wait_ms);
+      }
+   }
+
+   return {
+      'send': function(fromID, toID, channel, payload, bytes) {
+         let result;
+         if (channel == 'unordered') {
+            result = (take(bytes)) ? 'sent' : 'dropped';
+            if (result == 'sent') forward(toID, channel, payload, bytes);
+         } else if ((queue.length == 0) && take(bytes)) {
+            result = 'sent';
+            forward(toID, channel, payload, bytes);
+         } else if (queuedBytes + bytes <= queueMaxBytes) {
+            result = 'queued';
+            queue.push({'fromID':fromID, 'toID':toID, 'payload':payload, 'bytes':bytes});
+            queuedBytes += bytes;
+            if (!timer) timer = setTimeout(drain, 0);
+         } else {
+            result = 'overflow';
+         }
+         usage.messages[result]++;
+         return result;
+      },
+
+      // Forget what is queued between two sockets that have stopped relaying (one of them may have gone).
+      'forget': function(socketID, peerID) {
+         let between = message => [socketID, peerID].includes(message.fromID) && [socketID, peerID].includes(message.toID);
+         queue = queue.filter(message => !between(message));
+         queuedBytes = queue.reduce((sum, message) => sum + message.bytes, 0);
+      },
+
+      'usage': function() {
+         return {'messages':Object.assign({}, usage.messages), 'bytes':Object.assign({}, usage.bytes), 'queuedBytes':queuedBytes};
+      },
+
+      'stop': function() {
+         clearTimeout(timer);
+         timer = null;
+         queue = [];
+         queuedBytes = 0;
+      }
+   };
+}
+
+module.exports = { createRoomRelay };
@@ -0,0 +1,83 @@
+// lib/handlers/input-batching.js
+// Input batching: a room's client-mK-event traffic merged into one client-mK-StH-batch per tick for the host, if the host asks.
+
+/*
+The host's choice is in cD.inputBatching[roomName] = {tick_ms, positionFields}; each process batches its own share of the input
+with the batcher in cD.batcher[roomName] (see lib/input-batch.js):
+
+   const inputBatching = createInputBatching(core);
+   if (cD.inputBatching[roomName]) inputBatching.inputBatcher(roomName).add(userName, msg);
+   io.on('connection', socket => { ...; inputBatching.attach(socket); });
+
+core is the server's shared state and room helpers (see createSpringsServer); this uses settings (inputTick_ms), cD, io, log
+and metrics.
+*/
+
+const { createInputBatcher } = require('../input-batch');
+
+function createInputBatching(core) {
+   const { settings, cD, io, log, metrics } = core;
+   const inputBatchCounter = metrics.counter('input_batches_total', 'client-mK-StH-batch messages sent to hosts.');
+
+   function inputBatcher(roomName) {
+      // The room's batcher, made (again) if the host has changed the settings since.
+      let batching = cD.inputBatching[roomName];
+      let entry = cD.batcher[roomName];
+      if (entry && entry.settings === batching) return entry.batcher;
+      if (entry) entry.batcher.flush();
+      let batcher = createInputBatcher({'tick_ms':batching.tick_ms, 'positionFields':batching.positionFields, 'send':function(batch) {
+         // StH: Server to Host. Inputs that arrive while the host is away are dropped, as they are without batching.
+         let hostID = cD.hostID[roomName];
+         if (!hostID) return;
+         io.to(hostID).emit('client-mK-StH-batch', Object.assign({'roomName':roomName}, batch));
+         inputBatchCounter.inc();
+      }});
+      cD.batcher[roomName] = {'settings':batching, 'batcher':batcher};
+      return batcher;
+   }
+
+   function setInputBatching(roomName, msg) {
+      // msg: {on, tick_ms, positionFields}. Whatever is pending goes out under the old settings.
+      if (msg.on === false) {
+         delete cD.inputBatching[roomName];
+      } else {
+         cD.inputBatching[roomName] = {'tick_ms':msg.tick_ms || settings.inputTick_ms, 'positionFields':msg.positionFields || null};
+      }
+      let entry = cD.batcher[roomName];
+      if (entry) {
+         entry.batcher.flush();
+         delete cD.batcher[roomName];
+      }
+      log.info('Input batching ' + ((cD.inputBatching[roomName]) ? 'on (' + cD.inputBatching[roomName].tick_ms + ' ms)' : 'off') + ' for room ' + roomName + '.',
+               {'room':roomName, 'event':'input-batching'});
+   }
+
+   function inputBatchingStatus(roomName) {
+      let batching = cD.inputBatching[roomName];
+      return {'roomName':roomName, 'on':(batching) ? true : false, 'tick_ms':(batching) ? batching.tick_ms : null,
+              'positionFields':(batching) ? batching.positionFields : null};
+   }
+
+   // The host can have the room's client-mK-event traffic merged into one client-mK-StH-batch per tick:
+   // {on, tick_ms, positionFields}. The reply (also sent to a new host) says what is in effect.
+   function attach(socket) {
+      socket.on('input-batching', function(msg) {
+         var roomName = cD.room[socket.id];
+         if ((socket.id == cD.hostID[roomName]) && msg && (typeof msg === 'object')) {
+            setInputBatching(roomName, msg);
+            io.to(socket.id).emit('input-batching', inputBatchingStatus(roomName));
+         } else {
+            io.to(socket.id).emit('chat message', 'Input batching is set by the host.');
+         }
+      });
+   }
+
+   return {
+      'inputBatcher': inputBatcher,
+      'setInputBatching': setInputBatching,
+      'inputBatchingStatus': inputBatchingStatus,
+      'attach': attach
+   };
+}
+
+module.exports = { createInputBatching };
@@ -0,0 +1,88 @@
+// lib/handlers/lobby.js
+// The lobby: the public rooms (those with a host that chose to list them), for a room picker on the client page.
+
+/*
+Sockets asking for 'room list' get the list, and with {subscribe:true} are kept in the lobbyRoom Socket.io room and sent it
+again whenever it changes. The server calls lobbyChanged() when rooms open, close or change, and GET /rooms uses lobbyList():
+
+   const lobby = createLobby(core);
+   lobby.lobbyChanged();
+   io.on('connection', socket => { ...; lobby.attach(socket); });
+
+core is the server's shared state and room helpers (see createSpringsServer); this uses cD, io, playerCount, roomRoster and
+setRoomInfo.
+*/
+
+// Sockets looking at the lobby are kept in this Socket.io room. Game room names can't start with "#".
+const lobbyRoom = '#lobby';
+
+function createLobby(core) {
+   const { cD, io, playerCount, roomRoster, setRoomInfo } = core;
+   var lobbyTimer = null;
+
+   function lobbyEntry(roomName) {
+      let access = cD.roomAccess[roomName] || {};
+      let info = cD.roomInfo[roomName] || {};
+      let hostID = cD.hostID[roomName];
+      return {
+         'name': roomName,
+         'gameMode': info.gameMode || null,
+         'maxPlayers': info.maxPlayers || null,
+         'playerCount': playerCount(roomName),
+         'spectatorCount': roomRoster(roomName).filter(member => member.spectator).length,
+         'waitlistLength': (cD.waitlist[roomName] || []).length,
+         'hostNickName': cD.nickName[hostID] || null,
+         'locked': access.locked || false,
+         'passwordProtected': (access.passwordHash) ? true : false,
+         'inviteOnly': (access.inviteCode) ? true : false
+      };
+   }
+
+   function lobbyList() {
+      // Only rooms whose hosts chose to list them, and that have a host right now.
+      return Object.keys(cD.hostID).filter(roomName => cD.roomInfo[roomName] && cD.roomInfo[roomName].public).sort().map(lobbyEntry);
+   }
+
+   function lobbyChanged() {
+      // Push the list to the lobby, at most every quarter second (joins and leaves tend to come in bunches).
+      if (lobbyTimer) return;
+      lobbyTimer = setTimeout(function() {
+         lobbyTimer = null;
+         io.to(lobbyRoom).emit('room list', {'rooms':lobbyList()});
+      }, 250);
+   }
+
+   function stop() {
+      clearTimeout(lobbyTimer);
+   }
+
+   function attach(socket) {
+      // The lobby: answer with the public rooms, and keep sending updates if asked to subscribe.
+      socket.on('room list', function(msg) {
+         if (msg && msg.subscribe === false) {
+            socket.leave(lobbyRoom);
+            return;
+         }
+         if (msg && msg.subscribe) socket.join(lobbyRoom);
+         io.to(socket.id).emit('room list', {'rooms':lobbyList()});
+      });
+   
+      // The host can change what the lobby shows about its room.
+      socket.on('room-info', function(msg) {
+         var roomName = cD.room[socket.id];
+         if ((socket.id == cD.hostID[roomName]) && msg && (typeof msg === 'object')) {
+            setRoomInfo(roomName, msg, cD.roomInfo[roomName]);
+         }
+      });
+   }
+
+   return {
+      'lobbyEntry': lobbyEntry,
+      'lobbyList': lobbyList,
+      'lobbyChanged': lobbyChanged,
+      'stop': stop,
+      'attach': attach
+   };
+}
+
+module.exports = { createLobby, lobbyRoom };
@@ -0,0 +1,137 @@
+// lib/handlers/recordings.js
+// Recording a room's traffic (opt-in by the host), listing the recordings, and replaying one into a host socket.
+
+/*
+The recordings are JSONL files in core.recordingsDir (see lib/recording.js); cD.recorder[roomName] is the open one for a room.
+The server calls record() for each relayed event and stopRecording() when a room closes:
+
+   const recordings = createRecordings(core);
+   recordings.record(roomName, 'control message', socket.id, msg);
+   io.on('connection', socket => { ...; recordings.attach(socket); });
+
+core is the server's shared state and room helpers (see createSpringsServer); this uses cD, io, log, recordingsDir,
+socketFields and setDefault.
+*/
+
+const recording = require('../recording');
+
+// What the host originally saw for each recorded event, used when replaying into a host socket.
+const replayEventForHost = {
+   'join': 'new-game-client',
+   'leave': 'client-disconnected',
+   'client-mK-event': 'client-mK-StH-event',
+   'control message': 'control message',
+   'command-from-host-to-all-clients': 'command-from-host-to-all-clients'
+};
+
+function createRecordings(core) {
+   const { cD, io, log, recordingsDir, socketFields, setDefault } = core;
+
+   function record(roomName, event, socketID, data) {
+      if (roomName && cD.recorder[roomName]) cD.recorder[roomName].write(event, cD.userName[socketID], data);
+   }
+
+   function stopRecording(roomName) {
+      let recorder = cD.recorder[roomName];
+      if (!recorder) return null;
+      let count = recorder.stop();
+      delete cD.recorder[roomName];
+      log.info('Recording of room ' + roomName + ' stopped: ' + count + ' events in ' + recorder.fileName + '.', {'room':roomName, 'event':'recording'});
+      return recorder.fileName;
+   }
+
+   function attach(socket) {
+      // The replay playing into this socket, if any; it stops when the socket goes.
+      var replay = null;
+      socket.on('disconnect', function() {
+         if (replay) replay.stop();
+      });
+   
+      // Opt-in recording of the room's traffic, started and stopped by the host.
+      socket.on('recording', function(msg) {
+         var roomName = cD.room[socket.id];
+         if (socket.id != cD.hostID[roomName]) {
+            io.to(socket.id).emit('chat message', 'Requests to record the room must come from the host.');
+            return;
+         }
+      
+         if (msg && msg.on === false) {
+            let fileName = stopRecording(roomName);
+            io.to(socket.id).emit('recording-status', {'recording':false, 'fileName':fileName});
+         } else {
+            if (!cD.recorder[roomName]) {
+               cD.recorder[roomName] = recording.startRecording(recordingsDir, roomName);
+               log.info('Recording room ' + roomName + ' to ' + cD.recorder[roomName].fileName + '.', socketFields(socket.id, 'recording'));
+            }
+            io.to(socket.id).emit('recording-status', {'recording':true, 'fileName':cD.recorder[roomName].fileName});
+         }
+      });
+   
+      // A room's recordings are its host's to list and replay; admins see them all.
+      socket.on('recording-list', function() {
+         // Admins see every room's recordings, a host its own room's, anyone else none.
+         let roomName = cD.room[socket.id];
+         let list;
+         if (cD.admin[socket.id]) {
+            list = recording.listRecordings(recordingsDir);
+         } else if (roomName && (socket.id == cD.hostID[roomName])) {
+            list = recording.listRecordings(recordingsDir, roomName);
+         } else {
+            list = [];
+         }
+         io.to(socket.id).emit('recording-list', list);
+      });
+   
+      // Play a recording back into this (host) socket, at the original timing or faster (rate > 1).
+      socket.on('replay-recording', function(msg) {
+         var roomName = cD.room[socket.id];
+         if (socket.id != cD.hostID[roomName]) {
+            io.to(socket.id).emit('chat message', 'Replays can only be played into a host.');
+            return;
+         }
+         let loaded;
+         try {
+            loaded = recording.loadRecording(recordingsDir, msg.fileName);
+         } catch (error) {
+            log.warn('Could not read recording ' + msg.fileName + ': ' + error.message, socketFields(socket.id, 'replay-recording'));
+            io.to(socket.id).emit('replay-status', {'playing':false, 'fileName':msg.fileName, 'reason':'unreadable'});
+            return;
+         }
+         // Someone else's room is treated as not there.
+         if (!loaded || ((loaded.room !== roomName) && !cD.admin[socket.id])) {
+            io.to(socket.id).emit('replay-status', {'playing':false, 'reason':'no-such-recording'});
+            return;
+         }
+         let entries = loaded.entries;
+         if (loaded.skipped > 0) log.warn('Skipped ' + loaded.skipped + ' damaged lines in recording ' + msg.fileName + '.', socketFields(socket.id, 'replay-recording'));
+      
+         if (replay) replay.stop();
+         let rate = Number(setDefault(msg.rate, 1));
+         log.info('Replaying ' + msg.fileName + ' (' + entries.length + ' events, rate ' + rate + ') into ' + cD.userName[socket.id] + '.', socketFields(socket.id, 'replay-recording'));
+         io.to(socket.id).emit('replay-status', {'playing':true, 'fileName':msg.fileName, 'events':entries.length, 'skipped':loaded.skipped, 'rate':rate});
+      
+         replay = recording.replayRecording(entries, rate, function(event, from, data) {
+            if (replayEventForHost[event]) io.to(socket.id).emit(replayEventForHost[event], data);
+         }, function(count) {
+            replay = null;
+            io.to(socket.id).emit('replay-status', {'playing':false, 'fileName':msg.fileName, 'events':count, 'reason':'finished'});
+         });
+      });
+   
+      socket.on('replay-stop', function() {
+         if (replay) {
+            replay.stop();
+            replay = null;
+            io.to(socket.id).emit('replay-status', {'playing':false, 'reason':'stopped'});
+         }
+      });
+   }
+
+   return {
+      'record': record,
+      'stopRecording': stopRecording,
+      'attach': attach
+   };
+}
+
+module.exports = { createRecordings };
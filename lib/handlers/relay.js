@@ -0,0 +1,156 @@
+// lib/handlers/relay.js
+// Relay mode: data channels through the server for a host and client whose peer-to-peer connection can't be made.
+
+/*
+The pairs are in cD.relayPairs[roomName] (shared) and each room's channels and bandwidth budget in cD.relay[roomName]
+(this process only, see lib/data-relay.js). The server ends a user's relays when they leave:
+
+   const relay = createRelay(core);
+   relay.closeRelayPairs(socket.id, 'left');
+   io.on('connection', socket => { ...; relay.attach(socket); });
+
+core is the server's shared state and room helpers (see createSpringsServer); this uses settings (relayBandwidth_kBps), cD, io,
+log, metrics, socketFields and relayed.
+*/
+
+const { createRoomRelay } = require('../data-relay');
+
+function createRelay(core) {
+   const { settings, cD, io, log, metrics, socketFields, relayed } = core;
+   metrics.gauge('relay_pairs', 'Host and client pairs using the server-relayed data channels.', () => relayPairCount());
+   const relayNegotiationCounter = metrics.counter('relay_negotiations_total', 'relay-negotiate messages handled, by action.');
+   const relayMessageCounter = metrics.counter('relay_messages_total', 'relay-data messages, by channel and result (sent, queued, dropped, overflow).');
+   const relayBytesCounter = metrics.counter('relay_bytes_total', 'relay-data payload bytes forwarded, by channel.');
+
+   function relayPeerID(socketID, to) {
+      // The socket that a relay-negotiate or relay-data 'to' (a user name, or 'host') means, if the two may relay:
+      // both in the same room, one of them the host. Otherwise null.
+      let roomName = cD.room[socketID];
+      let peerID = (to == 'host') ? cD.hostID[roomName] : cD.id[to];
+      if (!roomName || !peerID || (peerID == socketID) || (cD.room[peerID] != roomName)) return null;
+      if ((cD.hostID[roomName] != socketID) && (cD.hostID[roomName] != peerID)) return null;
+      return peerID;
+   }
+
+   function relayPair(roomName, userA, userB) {
+      return (cD.relayPairs[roomName] || []).find(pair => pair.users.includes(userA) && pair.users.includes(userB)) || null;
+   }
+
+   function setRelayPair(roomName, userA, userB, pair) {
+      // Replace (or, with pair null, remove) the entry for these two.
+      let pairs = (cD.relayPairs[roomName] || []).filter(other => !(other.users.includes(userA) && other.users.includes(userB)));
+      if (pair) pairs.push(pair);
+      if (pairs.length > 0) {
+         cD.relayPairs[roomName] = pairs;
+      } else {
+         delete cD.relayPairs[roomName];
+      }
+   }
+
+   function relayPairCount() {
+      let count = 0;
+      for (let roomName in cD.relayPairs) count += cD.relayPairs[roomName].filter(pair => pair.state == 'open').length;
+      return count;
+   }
+
+   function closeRelayPairs(socketID, reason) {
+      // End every relay (open or requested) this socket is part of; the peers get relay-closed.
+      let roomName = cD.room[socketID];
+      let userName = cD.userName[socketID];
+      for (let pair of (cD.relayPairs[roomName] || []).filter(pair => pair.users.includes(userName))) {
+         let peerName = pair.users.find(name => name != userName);
+         setRelayPair(roomName, userName, peerName, null);
+         if (cD.relay[roomName]) cD.relay[roomName].forget(socketID, cD.id[peerName]);
+         if (cD.id[peerName]) io.to(cD.id[peerName]).emit('relay-closed', {'peer':userName, 'reason':reason});
+      }
+   }
+
+   function roomRelay(roomName) {
+      if (!cD.relay[roomName]) {
+         cD.relay[roomName] = createRoomRelay({'bytesPerSecond':() => settings.relayBandwidth_kBps * 1024, 'deliver':function(toID, channel, payload, bytes) {
+            // Like an unreliable data channel, unordered messages are let go if the socket isn't ready for them.
+            if (channel == 'unordered') {
+               io.to(toID).volatile.emit('relay-data', payload);
+            } else {
+               io.to(toID).emit('relay-data', payload);
+            }
+            relayBytesCounter.inc({'channel':channel}, bytes);
+         }});
+      }
+      return cD.relay[roomName];
+   }
+
+   function attach(socket) {
+      // Relay mode, for a host and client whose peer-to-peer connection can't be made (ICE failed on a strict NAT, say).
+      // {to, action, reason}: one side sends action request, the other accept (or decline); both then get relay-open and
+      // send relay-data through the server until one sends close or leaves. A new request replaces whatever the two had.
+      socket.on('relay-negotiate', function(msg) {
+         var roomName = cD.room[socket.id];
+         var userName = cD.userName[socket.id];
+         var peerID = relayPeerID(socket.id, msg.to);
+         if (!peerID) {
+            io.to(socket.id).emit('relay-negotiate', {'from':null, 'to':msg.to, 'action':'refused', 'reason':'not-a-peer'});
+            return;
+         }
+         var peerName = cD.userName[peerID];
+         var pair = relayPair(roomName, userName, peerName);
+         relayNegotiationCounter.inc({'action':msg.action});
+      
+         if (msg.action == 'request') {
+            setRelayPair(roomName, userName, peerName, {'users':[userName, peerName], 'state':'requested', 'requestedBy':userName, 'since':Date.now()});
+            io.to(peerID).emit('relay-negotiate', {'from':userName, 'action':'request', 'reason':msg.reason || null});
+         } else if (msg.action == 'accept') {
+            if (!pair || (pair.state != 'requested') || (pair.requestedBy == userName)) {
+               io.to(socket.id).emit('relay-negotiate', {'from':null, 'to':msg.to, 'action':'refused', 'reason':'no-request'});
+               return;
+            }
+            setRelayPair(roomName, userName, peerName, Object.assign({}, pair, {'state':'open', 'since':Date.now()}));
+            let channels = {'channels':['ordered', 'unordered'], 'maxKBps':settings.relayBandwidth_kBps};
+            io.to(socket.id).emit('relay-open', Object.assign({'peer':peerName}, channels));
+            io.to(peerID).emit('relay-open', Object.assign({'peer':userName}, channels));
+            log.info('Relaying data between ' + pair.requestedBy + ' and ' + userName + ' in room ' + roomName + '.', socketFields(socket.id, 'relay-open'));
+         } else if (pair && (msg.action == 'decline')) {
+            setRelayPair(roomName, userName, peerName, null);
+            io.to(peerID).emit('relay-negotiate', {'from':userName, 'action':'decline', 'reason':msg.reason || null});
+         } else if (pair && (msg.action == 'close')) {
+            setRelayPair(roomName, userName, peerName, null);
+            if (cD.relay[roomName]) cD.relay[roomName].forget(socket.id, peerID);
+            io.to(socket.id).emit('relay-closed', {'peer':peerName, 'reason':msg.reason || 'closed'});
+            io.to(peerID).emit('relay-closed', {'peer':userName, 'reason':msg.reason || 'closed'});
+         }
+      });
+   
+      // Data for the peer on a relayed channel: {to, channel (ordered or unordered), data}. The peer gets relay-data
+      // {from, channel, data}. The room's bandwidth cap may queue ordered data, or drop unordered data (see lib/data-relay.js).
+      socket.on('relay-data', function(msg) {
+         var roomName = cD.room[socket.id];
+         var peerID = relayPeerID(socket.id, msg.to);
+         var pair = (peerID) ? relayPair(roomName, cD.userName[socket.id], cD.userName[peerID]) : null;
+         if (!pair || (pair.state != 'open')) {
+            relayMessageCounter.inc({'channel':msg.channel, 'result':'not-open'});
+            io.to(socket.id).emit('relay-closed', {'peer':msg.to, 'reason':'not-open'});
+            return;
+         }
+         var payload = {'from':cD.userName[socket.id], 'channel':msg.channel, 'data':msg.data};
+         var bytes = Buffer.byteLength(JSON.stringify(msg.data) || '');
+         var relay = roomRelay(roomName);
+         var result = relay.send(socket.id, peerID, msg.channel, payload, bytes);
+         relayMessageCounter.inc({'channel':msg.channel, 'result':result});
+         // Ordered data can't be dropped quietly; the sender should back off.
+         if (result == 'overflow') io.to(socket.id).emit('relay-overflow', {'to':msg.to, 'queuedBytes':relay.usage().queuedBytes});
+         relayed('relay-data', socket.id, msg);
+      });
+   }
+
+   return {
+      'relayPeerID': relayPeerID,
+      'relayPair': relayPair,
+      'setRelayPair': setRelayPair,
+      'relayPairCount': relayPairCount,
+      'closeRelayPairs': closeRelayPairs,
+      'roomRelay': roomRelay,
+      'attach': attach
+   };
+}
+
+module.exports = { createRelay };
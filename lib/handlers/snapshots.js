@@ -0,0 +1,98 @@
+// lib/handlers/snapshots.js
+// Room snapshots: the latest world state each host shares, kept so that clients joining mid-game can be sent it.
+
+/*
+The server keeps the snapshots in cD.snapshot[roomName] = {version, state, bytes, time} and sends one to each new client.
+The host updates it with 'room-snapshot', either a full state or a JSON merge-patch delta, and gets a 'room-snapshot-ack':
+
+   const snapshots = createSnapshots(core);
+   io.on('connection', socket => { ...; snapshots.attach(socket); });
+
+core is the server's shared state and room helpers (see createSpringsServer); this uses cD, io, log and setDefault.
+*/
+
+const snapshotMaxBytes = 512 * 1024;      // per room
+const snapshotCacheMaxBytes = 16 * 1024 * 1024;   // all rooms together
+
+const unsafeKeys = ['__proto__', 'constructor', 'prototype'];
+
+function mergePatch(target, patch) {
+   // JSON merge patch (RFC 7386): objects merge recursively, null removes a key, everything else replaces.
+   // Keys that would reach a prototype (a parsed "__proto__" is an own key) are ignored.
+   if ((patch === null) || (typeof patch !== 'object') || Array.isArray(patch)) return patch;
+   if ((target === null) || (typeof target !== 'object') || Array.isArray(target)) target = {};
+   for (let key in patch) {
+      if (unsafeKeys.includes(key)) continue;
+      if (patch[key] === null) {
+         delete target[key];
+      } else {
+         target[key] = mergePatch(target[key], patch[key]);
+      }
+   }
+   return target;
+}
+
+function createSnapshots(core) {
+   const { cD, io, log, setDefault } = core;
+
+   function snapshotCacheBytes() {
+      let total = 0;
+      for (let roomInMap in cD.snapshot) total += cD.snapshot[roomInMap].bytes;
+      return total;
+   }
+
+   function storeSnapshot(roomName, msg) {
+      // Returns null if stored, otherwise a reason code for the host.
+      let previous = cD.snapshot[roomName];
+      let version = setDefault(msg.version, (previous) ? previous.version + 1 : 1);
+      let state;
+   
+      if (typeof msg.delta !== 'undefined') {
+         // A delta only makes sense against the version the host thinks we have.
+         if (!previous) return 'no-base-snapshot';
+         if (msg.baseVersion !== previous.version) return 'version-mismatch';
+         // Work on a copy so a rejected delta leaves the cached state alone.
+         state = mergePatch(JSON.parse(JSON.stringify(previous.state)), msg.delta);
+      } else {
+         state = msg.state;
+      }
+   
+      let bytes = Buffer.byteLength(JSON.stringify(setDefault(state, null)));
+      if (bytes > snapshotMaxBytes) return 'too-large';
+   
+      cD.snapshot[roomName] = {'version':version, 'state':state, 'bytes':bytes, 'time':Date.now()};
+   
+      // Keep the whole cache under its limit by dropping the stalest snapshots from other rooms.
+      while (snapshotCacheBytes() > snapshotCacheMaxBytes) {
+         let stalest = null;
+         for (let roomInMap in cD.snapshot) {
+            if ((roomInMap != roomName) && (!stalest || (cD.snapshot[roomInMap].time < cD.snapshot[stalest].time))) stalest = roomInMap;
+         }
+         if (!stalest) break;
+         log.warn('Snapshot cache full, dropping snapshot for room ' + stalest + '.', {'room':stalest, 'event':'room-snapshot'});
+         delete cD.snapshot[stalest];
+      }
+      return null;
+   }
+
+   // The host shares its world state so that late joiners can get it straight from the server.
+   // Either a full state ({version, state}) or a merge-patch delta ({version, baseVersion, delta}).
+   function attach(socket) {
+      socket.on('room-snapshot', function(msg) {
+         var roomName = cD.room[socket.id];
+         if (socket.id != cD.hostID[roomName]) return;
+      
+         let problem = (msg && typeof msg === 'object') ? storeSnapshot(roomName, msg) : 'bad-snapshot';
+         let ack = {'ok':!problem, 'reason':problem};
+         if (cD.snapshot[roomName]) ack.version = cD.snapshot[roomName].version;
+         io.to(socket.id).emit('room-snapshot-ack', ack);
+      });
+   }
+
+   return {
+      'storeSnapshot': storeSnapshot,
+      'attach': attach
+   };
+}
+
+module.exports = { createSnapshots, mergePatch };
@@ -0,0 +1,222 @@
+// lib/handlers/teams.js
+// Server-managed teams: the host defines them, clients join them (within each team's size), and the host can balance them.
+
+/*
+The host's teams are in cD.teams[roomName] = [{name, color, maxSize}, ...] and each member's team in cD.teamName[socket.id].
+Rooms without teams take any team name. The host gets a 'team-roster' whenever membership changes, and clients a 'team-change':
+
+   const teams = createTeams(core);
+   teams.setTeams(roomName, [{'name':'red', 'color':'#f00', 'maxSize':4}, {'name':'blue'}]);
+   io.on('connection', socket => { ...; teams.attach(socket); });
+
+core is the server's shared state and room helpers (see createSpringsServer); this uses cD, io, maxNameLength, setDefault,
+announceNameChange, displayNameHTML, isMuted, cleanChat and relayed.
+*/
+
+const { escapeHTML } = require('../sanitize');
+
+const maxTeams = 16;
+
+function createTeams(core) {
+   const { cD, io, maxNameLength, setDefault, announceNameChange, displayNameHTML, isMuted, cleanChat, relayed } = core;
+
+   function findTeam(roomName, teamName) {
+      // Team names match without regard to case.
+      if (typeof teamName !== 'string') return undefined;
+      return (cD.teams[roomName] || []).find(team => (team.name.toLowerCase() == teamName.toLowerCase()));
+   }
+
+   function teamMembers(roomName, teamName) {
+      // Socket ids of everyone in the room (the host too) on the team.
+      let members = [];
+      for (let socket_id in cD.room) {
+         if ((cD.room[socket_id] == roomName) && (cD.teamName[socket_id] == teamName)) members.push(socket_id);
+      }
+      return members;
+   }
+
+   function teamRoster(roomName) {
+      let member = (socket_id) => ({'userName':cD.userName[socket_id], 'nickName':cD.nickName[socket_id],
+                                    'host':(socket_id == cD.hostID[roomName]), 'spectator':(cD.role[socket_id] == 'spectator')});
+      let teams = (cD.teams[roomName] || []).map(team => Object.assign({}, team, {'members':teamMembers(roomName, team.name).map(member)}));
+      let unassigned = [];
+      for (let socket_id in cD.room) {
+         if ((cD.room[socket_id] == roomName) && !findTeam(roomName, cD.teamName[socket_id])) unassigned.push(member(socket_id));
+      }
+      return {'roomName':roomName, 'teams':teams, 'unassigned':unassigned};
+   }
+
+   function sendTeamRoster(roomName) {
+      if (roomName && cD.teams[roomName]) io.to(cD.hostID[roomName]).emit('team-roster', teamRoster(roomName));
+   }
+
+   function teamProblem(clientID, roomName, teamName) {
+      // Returns null if the client may be on the team (null for no team), otherwise a reason code.
+      // Rooms without server-managed teams take any team name, as always.
+      if (!cD.teams[roomName] || (teamName === null)) return null;
+      let team = findTeam(roomName, teamName);
+      if (!team) return 'no-such-team';
+      let others = teamMembers(roomName, team.name).filter(socket_id => (socket_id != clientID));
+      if (team.maxSize && (others.length >= team.maxSize)) return 'team-full';
+      return null;
+   }
+
+   function sendTeamChange(clientID, message, reason) {
+      let roomName = cD.room[clientID];
+      let team = findTeam(roomName, cD.teamName[clientID]);
+      io.to(clientID).emit('team-change', {'roomName':roomName || null, 'teamName':cD.teamName[clientID] || null,
+                                           'color':(team) ? team.color : null, 'message':message, 'reason':setDefault(reason, null)});
+   }
+
+   function setTeam(clientID, teamName) {
+      // Returns null on success, otherwise the reason code from teamProblem.
+      let roomName = cD.room[clientID];
+      let problem = teamProblem(clientID, roomName, teamName);
+      if (problem) return problem;
+      let team = findTeam(roomName, teamName);
+      cD.teamName[clientID] = (team) ? team.name : teamName;
+      announceNameChange(clientID);
+      sendTeamRoster(roomName);
+      return null;
+   }
+
+   function setTeams(roomName, list) {
+      // The host's team definitions: [{name, color, maxSize}]. An empty list goes back to free-form team names.
+      let teams = [];
+      for (let team of (Array.isArray(list) ? list : []).slice(0, maxTeams)) {
+         if (!team || (typeof team !== 'object') || !team.name) continue;
+         let name = String(team.name).slice(0, 40);
+         if (teams.some(other => (other.name.toLowerCase() == name.toLowerCase()))) continue;
+         // Colors are CSS names or hex (#f00, #ff0000).
+         let color = (/^(#[0-9a-fA-F]{3,8}|[a-zA-Z]{1,20})$/.test(team.color)) ? team.color : null;
+         teams.push({'name':name, 'color':color, 'maxSize':(parseInt(team.maxSize) > 0) ? parseInt(team.maxSize) : null});
+      }
+      if (teams.length > 0) {
+         cD.teams[roomName] = teams;
+      } else {
+         delete cD.teams[roomName];
+      }
+   
+      // Anyone on a team that no longer exists is taken off it.
+      for (let socket_id in cD.room) {
+         if ((cD.room[socket_id] != roomName) || !cD.teamName[socket_id] || !cD.teams[roomName]) continue;
+         let team = findTeam(roomName, cD.teamName[socket_id]);
+         if (team) {
+            cD.teamName[socket_id] = team.name;
+         } else {
+            cD.teamName[socket_id] = null;
+            announceNameChange(socket_id);
+            sendTeamChange(socket_id, 'The teams in room ' + escapeHTML(roomName) + ' have changed. You are not on a team.');
+         }
+      }
+      sendTeamRoster(roomName);
+   }
+
+   function balanceTeams(roomName) {
+      // Even out the team sizes: the unassigned go to the smallest teams, then people move from the biggest to the smallest
+      // until no two teams differ by more than one. The host stays where it is. Returns the number of moves.
+      let teams = cD.teams[roomName];
+      if (!teams) return 0;
+      let groups = new Map(teams.map(team => [team.name, {'team':team, 'fixed':0, 'movable':[]}]));
+      let unassigned = [];
+      for (let socket_id in cD.room) {
+         if (cD.room[socket_id] != roomName) continue;
+         let team = findTeam(roomName, cD.teamName[socket_id]);
+         if (socket_id == cD.hostID[roomName]) {
+            if (team) groups.get(team.name).fixed++;
+         } else if (team) {
+            groups.get(team.name).movable.push(socket_id);
+         } else {
+            unassigned.push(socket_id);
+         }
+      }
+      let size = (group) => group.fixed + group.movable.length;
+      let hasRoom = (group) => !group.team.maxSize || (size(group) < group.team.maxSize);
+   
+      let moved = [];
+      while (true) {
+         let open = Array.from(groups.values()).filter(hasRoom).sort((a, b) => size(a) - size(b));
+         if (open.length == 0) break;
+         let smallest = open[0];
+         let largest = Array.from(groups.values()).filter(group => group.movable.length > 0).sort((a, b) => size(b) - size(a))[0];
+         let socket_id;
+         if (unassigned.length > 0) {
+            socket_id = unassigned.shift();
+         } else if (largest && (size(largest) - size(smallest) > 1)) {
+            socket_id = largest.movable.pop();
+         } else {
+            break;
+         }
+         smallest.movable.push(socket_id);
+         cD.teamName[socket_id] = smallest.team.name;
+         if (!moved.includes(socket_id)) moved.push(socket_id);
+      }
+   
+      for (let socket_id of moved) {
+         announceNameChange(socket_id);
+         sendTeamChange(socket_id, 'The teams in room ' + escapeHTML(roomName) + ' were balanced. You are on team ' + escapeHTML(cD.teamName[socket_id]) + '.');
+      }
+      sendTeamRoster(roomName);
+      return moved.length;
+   }
+
+   function sendTeamChat(clientID, text) {
+      // Chat to the sender's team only (including the sender). Not kept in the room's chat history.
+      let roomName = cD.room[clientID];
+      let teamName = cD.teamName[clientID];
+      if (!roomName || !teamName) {
+         io.to(clientID).emit('chat message', 'You are not on a team.');
+      } else if (isMuted(clientID)) {
+         io.to(clientID).emit('chat message', 'You are muted in this room.');
+      } else {
+         let cleanText = cleanChat(clientID, text);
+         io.to(teamMembers(roomName, teamName)).emit('chat message', '[' + escapeHTML(teamName) + '] ' + cleanText + ' (' + displayNameHTML(clientID, 'comma') + ')');
+         relayed('team chat message', clientID, cleanText);
+      }
+   }
+
+   function attach(socket) {
+      // Chat to the sender's team.
+      socket.on('team chat message', function(msg) {
+         sendTeamChat(socket.id, msg);
+      });
+   
+      // The host defines the room's teams: {teams: [{name, color, maxSize}, ...]}; an empty list removes them.
+      socket.on('team-setup', function(msg) {
+         var roomName = cD.room[socket.id];
+         if ((socket.id == cD.hostID[roomName]) && msg && (typeof msg === 'object')) {
+            setTeams(roomName, msg.teams);
+            if (msg.balance) balanceTeams(roomName);
+         } else {
+            io.to(socket.id).emit('chat message', 'Teams are set up by the host.');
+         }
+      });
+   
+      // Anyone can switch teams during the session: {teamName} (null to leave the team).
+      socket.on('team-join', function(msg) {
+         var teamName = (msg && msg.teamName) ? String(msg.teamName).slice(0, maxNameLength) : null;
+         var problem = setTeam(socket.id, teamName);
+         if (problem) {
+            sendTeamChange(socket.id, (problem == 'team-full') ? 'Sorry, team ' + escapeHTML(teamName) + ' is full.' : 'Sorry, there is no team ' + escapeHTML(teamName) + ' in this room.', problem);
+         } else {
+            sendTeamChange(socket.id, (cD.teamName[socket.id]) ? 'You are on team ' + escapeHTML(cD.teamName[socket.id]) + '.' : 'You are not on a team.');
+         }
+      });
+   }
+
+   return {
+      'findTeam': findTeam,
+      'teamMembers': teamMembers,
+      'teamRoster': teamRoster,
+      'sendTeamRoster': sendTeamRoster,
+      'teamProblem': teamProblem,
+      'sendTeamChange': sendTeamChange,
+      'setTeam': setTeam,
+      'setTeams': setTeams,
+      'balanceTeams': balanceTeams,
+      'sendTeamChat': sendTeamChat,
+      'attach': attach
+   };
+}
+
+module.exports = { createTeams };
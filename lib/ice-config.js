@@ -0,0 +1,41 @@
+// lib/ice-config.js
+// ICE server settings for the pages' RTCPeerConnections, with time-limited TURN credentials.
+
+/*
+The pages fetch these before each peer-to-peer attempt (the 'ice-config' socket event, or GET /ice-config),
+and pass iceServers straight to the connection:
+
+   new RTCPeerConnection({'iceServers':msg.iceServers});
+
+TURN credentials use the shared-secret REST scheme that coturn (use-auth-secret, static-auth-secret) and most
+hosted TURN services accept: the user name is "<expiry, unix seconds>:<user name>", and the password is the
+base64 HMAC-SHA1 of that user name keyed with the secret. The TURN server checks both, so nothing has to be
+stored, and changing the secret (with a SIGHUP) retires the old credentials once they expire.
+*/
+
+const crypto = require('crypto');
+
+function turnCredentials(secret, userName, lifetime_s, now_ms=Date.now()) {
+   let expires_s = Math.floor(now_ms / 1000) + Math.round(lifetime_s);
+   let username = expires_s + ':' + userName;
+   return {
+      'username': username,
+      'credential': crypto.createHmac('sha1', secret).update(username).digest('base64'),
+      'expiresAt': new Date(expires_s * 1000).toISOString()
+   };
+}
+
+// {iceServers, ttl_s, expiresAt} for a user. TURN is left out without a user name, TURN URLs, or a secret.
+function iceConfig(settings, userName, now_ms=Date.now()) {
+   let iceServers = [];
+   if (settings.stunURLs.length > 0) iceServers.push({'urls':settings.stunURLs});
+
+   let turn = (userName && (settings.turnURLs.length > 0) && settings.turnSecret) ? true : false;
+   let ttl_s = settings.turnLifetime_m * 60;
+   let credentials = (turn) ? turnCredentials(settings.turnSecret, userName, ttl_s, now_ms) : null;
+   if (turn) iceServers.push({'urls':settings.turnURLs, 'username':credentials.username, 'credential':credentials.credential});
+
+   return {'iceServers':iceServers, 'turn':turn, 'ttl_s':(turn) ? ttl_s : null, 'expiresAt':(turn) ? credentials.expiresAt : null};
+}
+
+module.exports = { iceConfig, turnCredentials };
@@ -0,0 +1,92 @@
+// lib/input-batch.js
+// Merges a room's client-mK-event traffic over a tick, for hosts that would rather get one message per tick.
+
+/*
+   let batcher = createInputBatcher({'tick_ms':50, 'send':function(batch) { io.to(hostID).emit('client-mK-StH-batch', batch); }});
+   batcher.add('u2', msg);    // for each client-mK-event
+   ...
+   batcher.stop();            // drop anything pending
+
+The first input after a quiet spell starts the tick; when it ends, send gets
+
+   {'seq':17, 'tick_ms':50, 'time':<ms>, 'clients':[{'clientName':'u2', 'seq':412, 'received':6, 'events':[msg, msg]}, ...]}
+
+seq counts batches; a client's seq counts its inputs so far, and received is how many went into this batch.
+events are the client's messages, merged: a message that changes nothing but position fields is folded into
+the one before it (the later position wins), and every other change (a key going down or up) starts a new one.
+So a host can feed each of events to its client-mK-StH-event handler and see every key transition, in order.
+
+Position fields are the ones named in positionFields, or, if none are named, any field with a number value.
+*/
+
+function createInputBatcher(options) {
+   let tick_ms = options.tick_ms;
+   let positionFields = options.positionFields || null;
+   let send = options.send;
+
+   let seq = 0;
+   let inputCounts = new Map();    // clientName --> inputs so far
+   let pending = new Map();        // clientName --> {'received', 'events'} for this tick
+   let timer = null;
+
+   function isPosition(field, value) {
+      return (positionFields) ? positionFields.includes(field) : (typeof value === 'number');
+   }
+
+   function onlyPositionChanges(previous, msg) {
+      for (let field in msg) {
+         if (!isPosition(field, msg[field]) && (msg[field] !== previous[field])) return false;
+      }
+      return true;
+   }
+
+   function flush() {
+      timer = null;
+      if (pending.size == 0) return;
+      let clients = [];
+      for (let [clientName, entry] of pending) {
+         clients.push({'clientName':clientName, 'seq':inputCounts.get(clientName), 'received':entry.received, 'events':entry.events});
+      }
+      pending.clear();
+      seq++;
+      send({'seq':seq, 'tick_ms':tick_ms, 'time':Date.now(), 'clients':clients});
+   }
+
+   return {
+      'add': function(clientName, msg) {
+         inputCounts.set(clientName, (inputCounts.get(clientName) || 0) + 1);
+         if (!pending.has(clientName)) pending.set(clientName, {'received':0, 'events':[]});
+         let entry = pending.get(clientName);
+         entry.received++;
+
+         let last = entry.events[entry.events.length - 1];
+         if (last && onlyPositionChanges(last, msg)) {
+            entry.events[entry.events.length - 1] = Object.assign({}, last, msg);
+         } else {
+            entry.events.push(Object.assign({}, msg));
+         }
+         if (!timer) timer = setTimeout(flush, tick_ms);
+      },
+
+      // Send what's pending now (e.g. before turning batching off).
+      'flush': function() {
+         clearTimeout(timer);
+         flush();
+      },
+
+      'stop': function() {
+         clearTimeout(timer);
+         timer = null;
+         pending.clear();
+      },
+
+      'forget': function(clientName) {
+         inputCounts.delete(clientName);
+         pending.delete(clientName);
+      },
+
+      'tick_ms': tick_ms
+   };
+}
+
+module.exports = { createInputBatcher };
@@ -0,0 +1,81 @@
+// lib/link-quality.js
+// Rolling connection statistics for one socket, from the server's periodic pings.
+
+/*
+The server sends 'server-ping' with an acknowledgement callback; the page answers by calling it:
+
+   socket.on('server-ping', function(msg, ack) { ack(); });
+
+Each answer is a round-trip time (RTT) sample. Over the last windowSize pings this keeps:
+
+   rtt_ms      mean round trip (and the min and max)
+   jitter_ms   mean change in RTT from one answer to the next
+   lossRate    fraction of pings not answered before the timeout
+   maxGap_ms   longest time between two answers (normally about the ping interval; more means a stall)
+
+A socket that has never answered (a page without the listener) has no summary.
+*/
+
+function createLinkStats(windowSize=20) {
+   let rtts = [];        // ms, most recent last
+   let gaps = [];        // ms between answers
+   let results = [];     // true (answered) or false (lost), most recent last
+   let lastAnswer_ms = null;
+   let totals = {'sent':0, 'answered':0, 'lost':0};
+
+   function keep(list, value) {
+      list.push(value);
+      if (list.length > windowSize) list.shift();
+   }
+
+   function round(value) {
+      return Math.round(value * 10) / 10;
+   }
+
+   return {
+      'sent': function() {
+         totals.sent++;
+      },
+
+      'answered': function(rtt_ms, now_ms=Date.now()) {
+         totals.answered++;
+         keep(rtts, rtt_ms);
+         keep(results, true);
+         if (lastAnswer_ms !== null) keep(gaps, now_ms - lastAnswer_ms);
+         lastAnswer_ms = now_ms;
+      },
+
+      'lost': function() {
+         totals.lost++;
+         keep(results, false);
+      },
+
+      'summary': function() {
+         if (rtts.length == 0) return null;
+         let changes = rtts.slice(1).map((rtt, i) => Math.abs(rtt - rtts[i]));
+         return {
+            'rtt_ms': round(rtts.reduce((sum, rtt) => sum + rtt, 0) / rtts.length),
+            'rttMin_ms': round(Math.min(...rtts)),
+            'rttMax_ms': round(Math.max(...rtts)),
+            'jitter_ms': (changes.length > 0) ? round(changes.reduce((sum, change) => sum + change, 0) / changes.length) : 0,
+            'lossRate': round(100 * results.filter(answered => !answered).length / results.length) / 100,
+            'maxGap_ms': (gaps.length > 0) ? Math.max(...gaps) : null,
+            'samples': rtts.length,
+            'totals': Object.assign({}, totals)
+         };
+      }
+   };
+}
+
+// Connection bars (0-4) for a summary, for a signal-strength style display.
+function qualityBars(summary) {
+   if (!summary) return 0;
+   let limits = [[100, 30, 0.02], [200, 60, 0.05], [400, 120, 0.10]];    // rtt_ms, jitter_ms, lossRate for 4, 3, 2 bars
+   for (let i = 0; i < limits.length; i++) {
+      let [rtt, jitter, loss] = limits[i];
+      if ((summary.rtt_ms <= rtt) && (summary.jitter_ms <= jitter) && (summary.lossRate <= loss)) return 4 - i;
+   }
+   return 1;
+}
+
+module.exports = { createLinkStats, qualityBars };
@@ -0,0 +1,99 @@
+// lib/log.js
+// Leveled logging, as text or one JSON object per line, with optional per-room log files.
+
+/*
+Every line carries the same context fields, so one player's session can be followed through the logs:
+
+   log.info('Room r1 joined by u2.', {'socketID':socket.id, 'userName':'u2', 'room':'r1', 'event':'roomJoin'});
+
+text: 2025-07-22T18:03:11.425Z INFO  roomJoin  Room r1 joined by u2. room=r1 user=u2 socket=3x9mdz...
+json: {"time":"2025-07-22T18:03:11.425Z","level":"info","event":"roomJoin","message":"Room r1 joined by u2.","room":"r1","userName":"u2","socketID":"3x9mdz..."}
+
+Other fields are printed after these (key=value in text). Lines with a room also go to <roomDir>/<room>.log
+when roomDir is set.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const levels = {'debug':10, 'info':20, 'warn':30, 'error':40};
+
+// Shown in this order, then anything else.
+const contextFields = [['room', 'room'], ['userName', 'user'], ['socketID', 'socket']];
+
+function createLogger(options={}) {
+   let level = options.level || 'info';
+   let format = options.format || 'text';
+   let roomDir = options.roomDir || null;
+   let output = options.output || process.stdout;
+   let errorOutput = options.errorOutput || process.stderr;
+   let roomStreams = new Map();    // room name --> write stream
+
+   function textLine(entry) {
+      let line = entry.time + ' ' + entry.level.toUpperCase().padEnd(5) + ' ' + (entry.event || '-').padEnd(9) + ' ' + entry.message;
+      for (let [key, label] of contextFields) {
+         if (entry[key] !== undefined && entry[key] !== null) line += ' ' + label + '=' + entry[key];
+      }
+      for (let key in entry) {
+         if (['time', 'level', 'event', 'message'].includes(key) || contextFields.some(([field]) => field == key)) continue;
+         if (entry[key] !== undefined && entry[key] !== null) line += ' ' + key + '=' + ((typeof entry[key] === 'object') ? JSON.stringify(entry[key]) : entry[key]);
+      }
+      return line;
+   }
+
+   function roomStream(roomName) {
+      if (!roomStreams.has(roomName)) {
+         fs.mkdirSync(roomDir, { recursive: true });
+         // Room names are user input; keep the file name tame.
+         let fileName = String(roomName).replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 100) + '.log';
+         let stream = fs.createWriteStream(path.join(roomDir, fileName), {'flags':'a'});
+         stream.on('error', function(error) {
+            errorOutput.write('Room log for ' + roomName + ': ' + error.message + '\n');
+         });
+         roomStreams.set(roomName, stream);
+      }
+      return roomStreams.get(roomName);
+   }
+
+   function write(entryLevel, message, fields={}) {
+      if (levels[entryLevel] < levels[level]) return;
+      let entry = Object.assign({'time':new Date().toISOString(), 'level':entryLevel, 'event':null, 'message':message}, fields);
+      let line = ((format == 'json') ? JSON.stringify(entry) : textLine(entry)) + '\n';
+      ((levels[entryLevel] >= levels.error) ? errorOutput : output).write(line);
+      if (roomDir && entry.room) roomStream(entry.room).write(line);
+   }
+
+   return {
+      'debug': (message, fields) => write('debug', message, fields),
+      'info': (message, fields) => write('info', message, fields),
+      'warn': (message, fields) => write('warn', message, fields),
+      'error': (message, fields) => write('error', message, fields),
+
+      // For skipping work (like measuring payloads) that only debug lines need.
+      'enabled': function(checkLevel) {
+         return levels[checkLevel] >= levels[level];
+      },
+
+      // Change level, format, or roomDir (null to stop writing room files) on the fly.
+      'configure': function(changes) {
+         if (changes.level !== undefined) level = changes.level;
+         if (changes.format !== undefined) format = changes.format;
+         if (changes.roomDir !== undefined) {
+            if (!changes.roomDir) this.closeAllRooms();
+            roomDir = changes.roomDir;
+         }
+      },
+
+      'closeRoom': function(roomName) {
+         let stream = roomStreams.get(roomName);
+         if (stream) stream.end();
+         roomStreams.delete(roomName);
+      },
+
+      'closeAllRooms': function() {
+         for (let roomName of Array.from(roomStreams.keys())) this.closeRoom(roomName);
+      }
+   };
+}
+
+module.exports = { createLogger, levels };
@@ -0,0 +1,96 @@
+// lib/metrics.js
+// A small metrics registry that renders the Prometheus text format (for the /metrics route).
+
+/*
+Three kinds of metric:
+   counter   - only goes up; inc(labels, amount)
+   gauge     - read when scraped; the collect function returns a number, or a list of [labels, value] pairs
+   histogram - observe(labels, value) into cumulative buckets, with _sum and _count
+Labels are plain objects, e.g. {'event':'chat message'}.
+*/
+
+function labelString(labels) {
+   let keys = Object.keys(labels || {});
+   if (keys.length == 0) return '';
+   let pairs = keys.map(key => key + '="' + String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"');
+   return '{' + pairs.join(',') + '}';
+}
+
+function createRegistry(prefix) {
+   let metrics = [];
+   
+   function header(name, help, type) {
+      return '# HELP ' + name + ' ' + help + '\n# TYPE ' + name + ' ' + type + '\n';
+   }
+   
+   return {
+      'counter': function(name, help) {
+         let values = new Map();
+         let metric = {
+            'inc': function(labels, amount=1) {
+               let key = labelString(labels);
+               values.set(key, (values.get(key) || 0) + amount);
+            },
+            'render': function() {
+               let text = header(prefix + name, help, 'counter');
+               if (values.size == 0) text += prefix + name + ' 0\n';
+               for (let [key, value] of values) text += prefix + name + key + ' ' + value + '\n';
+               return text;
+            }
+         };
+         metrics.push(metric);
+         return metric;
+      },
+      
+      'gauge': function(name, help, collect, type='gauge') {
+         let metric = {
+            'render': function() {
+               let text = header(prefix + name, help, type);
+               let result = collect();
+               if (Array.isArray(result)) {
+                  for (let [labels, value] of result) text += prefix + name + labelString(labels) + ' ' + value + '\n';
+               } else {
+                  text += prefix + name + ' ' + result + '\n';
+               }
+               return text;
+            }
+         };
+         metrics.push(metric);
+         return metric;
+      },
+      
+      'histogram': function(name, help, buckets) {
+         let series = new Map();
+         let metric = {
+            'observe': function(labels, value) {
+               let key = JSON.stringify(labels || {});
+               if (!series.has(key)) series.set(key, {'labels':labels || {}, 'counts':buckets.map(() => 0), 'sum':0, 'count':0});
+               let entry = series.get(key);
+               buckets.forEach((upperBound, index) => { if (value <= upperBound) entry.counts[index]++; });
+               entry.sum += value;
+               entry.count++;
+            },
+            'render': function() {
+               let text = header(prefix + name, help, 'histogram');
+               for (let entry of series.values()) {
+                  buckets.forEach((upperBound, index) => {
+                     text += prefix + name + '_bucket' + labelString(Object.assign({}, entry.labels, {'le':upperBound})) + ' ' + entry.counts[index] + '\n';
+                  });
+                  text += prefix + name + '_bucket' + labelString(Object.assign({}, entry.labels, {'le':'+Inf'})) + ' ' + entry.count + '\n';
+                  text += prefix + name + '_sum' + labelString(entry.labels) + ' ' + entry.sum + '\n';
+                  text += prefix + name + '_count' + labelString(entry.labels) + ' ' + entry.count + '\n';
+               }
+               return text;
+            }
+         };
+         metrics.push(metric);
+         return metric;
+      },
+      
+      'render': function() {
+         return metrics.map(metric => metric.render()).join('');
+      }
+   };
+}
+
+module.exports = { createRegistry };
@@ -0,0 +1,231 @@
+// lib/mini-redis.js
+// A tiny in-memory Redis-protocol server: a local stand-in for trying multi-instance setups without installing Redis.
+
+/*
+It understands just what the state store (lib/store.js) and the Socket.io Redis adapter use:
+HELLO, PING, CLIENT, SELECT, QUIT, HSET, HGET, HDEL, HGETALL, DEL, PUBLISH, SUBSCRIBE, UNSUBSCRIBE,
+PSUBSCRIBE, PUNSUBSCRIBE and PUBSUB NUMSUB. It speaks RESP2, or RESP3 after HELLO 3. Nothing is persisted.
+
+Run it on its own, then point two (or more) servers at it:
+
+   node lib/mini-redis.js 6379
+   STATE_STORE=redis REDIS_URL=redis://localhost:6379 PORT=3000 NODE_ENV=production node server.js
+   STATE_STORE=redis REDIS_URL=redis://localhost:6379 PORT=3001 NODE_ENV=production node server.js
+
+Not for production use.
+*/
+
+const net = require('net');
+
+function globToRegExp(pattern) {
+   let escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+   return new RegExp('^' + escaped + '$', 's');
+}
+
+// Pull complete commands (arrays of bulk strings, as Buffers) off the front of the input buffer.
+function parseCommands(input) {
+   let commands = [], position = 0;
+
+   function readLine(from) {
+      let end = input.indexOf('\r\n', from);
+      return (end < 0) ? null : {'text':input.toString('utf8', from, end), 'next':end + 2};
+   }
+
+   while (position < input.length) {
+      let header = readLine(position);
+      if (!header) break;
+      if (header.text[0] != '*') throw new Error('expected an array');
+
+      let count = parseInt(header.text.slice(1)), args = [], cursor = header.next, complete = true;
+      for (let i = 0; i < count; i++) {
+         let lengthLine = readLine(cursor);
+         if (!lengthLine) { complete = false; break; }
+         let length = parseInt(lengthLine.text.slice(1));
+         if (input.length < lengthLine.next + length + 2) { complete = false; break; }
+         args.push(input.subarray(lengthLine.next, lengthLine.next + length));
+         cursor = lengthLine.next + length + 2;
+      }
+      if (!complete) break;
+      commands.push(args);
+      position = cursor;
+   }
+   return {'commands':commands, 'rest':input.subarray(position)};
+}
+
+function createMiniRedis() {
+   let hashes = new Map();        // key --> Map(field --> Buffer)
+   let clients = new Set();
+
+   function encoder(client) {
+      // Replies are built as arrays of Buffers/strings and written in one go.
+      let resp3 = () => client.protocol == 3;
+      let e = {
+         'simple': value => '+' + value + '\r\n',
+         'error': message => '-ERR ' + message + '\r\n',
+         'integer': value => ':' + value + '\r\n',
+         'bulk': function(value) {
+            if (value === null || value === undefined) return (resp3()) ? '_\r\n' : '$-1\r\n';
+            let buffer = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+            return Buffer.concat([Buffer.from('$' + buffer.length + '\r\n'), buffer, Buffer.from('\r\n')]);
+         },
+         'array': parts => Buffer.concat([Buffer.from('*' + parts.length + '\r\n')].concat(parts.map(part => Buffer.from(part)))),
+         'push': parts => Buffer.concat([Buffer.from(((resp3()) ? '>' : '*') + parts.length + '\r\n')].concat(parts.map(part => Buffer.from(part)))),
+         'map': function(pairs) {
+            if (!resp3()) return e.array(pairs.flat());
+            return Buffer.concat([Buffer.from('%' + (pairs.length) + '\r\n')].concat(pairs.flat().map(part => Buffer.from(part))));
+         }
+      };
+      return e;
+   }
+
+   function subscriptionCount(client) {
+      return client.channels.size + client.patterns.size;
+   }
+
+   function publish(channel, message) {
+      let receivers = 0;
+      let channelName = channel.toString();
+      for (let client of clients) {
+         let e = encoder(client);
+         if (client.channels.has(channelName)) {
+            client.socket.write(e.push([e.bulk('message'), e.bulk(channel), e.bulk(message)]));
+            receivers++;
+         }
+         for (let [pattern, regExp] of client.patterns) {
+            if (regExp.test(channelName)) {
+               client.socket.write(e.push([e.bulk('pmessage'), e.bulk(pattern), e.bulk(channel), e.bulk(message)]));
+               receivers++;
+            }
+         }
+      }
+      return receivers;
+   }
+
+   function run(client, args) {
+      let e = encoder(client);
+      let name = args[0].toString().toUpperCase();
+      let text = args.map(arg => arg.toString());
+
+      switch (name) {
+         case 'HELLO':
+            if (args[1]) client.protocol = parseInt(text[1]);
+            return e.map([[e.bulk('server'), e.bulk('mini-redis')], [e.bulk('version'), e.bulk('7.0.0')],
+                          [e.bulk('proto'), e.integer(client.protocol)], [e.bulk('id'), e.integer(client.id)],
+                          [e.bulk('mode'), e.bulk('standalone')], [e.bulk('role'), e.bulk('master')], [e.bulk('modules'), e.array([])]]);
+         case 'PING':
+            return (args[1]) ? e.bulk(args[1]) : e.simple('PONG');
+         case 'CLIENT':
+         case 'SELECT':
+            return e.simple('OK');
+         case 'QUIT':
+            client.socket.end(e.simple('OK'));
+            return null;
+         case 'HSET': {
+            if (!hashes.has(text[1])) hashes.set(text[1], new Map());
+            let hash = hashes.get(text[1]), added = 0;
+            for (let i = 2; i + 1 < args.length; i += 2) {
+               if (!hash.has(text[i])) added++;
+               hash.set(text[i], args[i + 1]);
+            }
+            return e.integer(added);
+         }
+         case 'HGET': {
+            let hash = hashes.get(text[1]);
+            return e.bulk((hash) ? hash.get(text[2]) : null);
+         }
+         case 'HDEL': {
+            let hash = hashes.get(text[1]), removed = 0;
+            for (let field of text.slice(2)) {
+               if (hash && hash.delete(field)) removed++;
+            }
+            return e.integer(removed);
+         }
+         case 'HGETALL': {
+            let hash = hashes.get(text[1]) || new Map();
+            return e.map(Array.from(hash).map(([field, value]) => [e.bulk(field), e.bulk(value)]));
+         }
+         case 'DEL': {
+            let removed = 0;
+            for (let key of text.slice(1)) {
+               if (hashes.delete(key)) removed++;
+            }
+            return e.integer(removed);
+         }
+         case 'PUBLISH':
+            return e.integer(publish(args[1], args[2]));
+         case 'SUBSCRIBE':
+         case 'PSUBSCRIBE': {
+            let replies = [];
+            for (let channel of text.slice(1)) {
+               if (name == 'SUBSCRIBE') {
+                  client.channels.add(channel);
+               } else {
+                  client.patterns.set(channel, globToRegExp(channel));
+               }
+               replies.push(e.push([e.bulk(name.toLowerCase()), e.bulk(channel), e.integer(subscriptionCount(client))]));
+            }
+            return Buffer.concat(replies);
+         }
+         case 'UNSUBSCRIBE':
+         case 'PUNSUBSCRIBE': {
+            let set = (name == 'UNSUBSCRIBE') ? client.channels : client.patterns;
+            let targets = (args.length > 1) ? text.slice(1) : Array.from(set.keys());
+            let replies = [];
+            for (let channel of targets) {
+               set.delete(channel);
+               replies.push(e.push([e.bulk(name.toLowerCase()), e.bulk(channel), e.integer(subscriptionCount(client))]));
+            }
+            if (replies.length == 0) replies.push(e.push([e.bulk(name.toLowerCase()), e.bulk(null), e.integer(0)]));
+            return Buffer.concat(replies);
+         }
+         case 'PUBSUB': {
+            if (text[1].toUpperCase() != 'NUMSUB') return e.error('only PUBSUB NUMSUB is supported');
+            let parts = [];
+            for (let channel of text.slice(2)) {
+               let count = 0;
+               for (let other of clients) {
+                  if (other.channels.has(channel)) count++;
+               }
+               parts.push(e.bulk(channel), e.integer(count));
+            }
+            return e.array(parts);
+         }
+         default:
+            return e.error("unknown command '" + text[0] + "'");
+      }
+   }
+
+   let nextID = 1;
+   let server = net.createServer(function(socket) {
+      let client = {'socket':socket, 'id':nextID++, 'protocol':2, 'channels':new Set(), 'patterns':new Map()};
+      let pending = Buffer.alloc(0);
+      clients.add(client);
+
+      socket.on('data', function(data) {
+         let parsed;
+         try {
+            parsed = parseCommands(Buffer.concat([pending, data]));
+         } catch (error) {
+            socket.end(encoder(client).error('protocol error: ' + error.message));
+            return;
+         }
+         pending = parsed.rest;
+         for (let args of parsed.commands) {
+            let reply = run(client, args);
+            if (reply !== null) socket.write(reply);
+         }
+      });
+      socket.on('close', () => clients.delete(client));
+      socket.on('error', () => clients.delete(client));
+   });
+   return server;
+}
+
+module.exports = { createMiniRedis };
+
+if (require.main === module) {
+   const port = parseInt(process.argv[2] || '6379');
+   createMiniRedis().listen(port, '127.0.0.1', function() {
+      console.log('mini-redis listening on 127.0.0.1:' + port);
+   });
+}
@@ -0,0 +1,52 @@
+// lib/rate-limit.js
+// Token-bucket rate limiting for inbound socket events.
+
+/*
+Each socket gets its own limiter. Events are sorted into budgets (input, signaling, control, chat, other),
+and each budget is a token bucket: it holds up to 'burst' tokens and refills at 'rate' tokens per second.
+An event costs one token. With no token left, allow() says no and the drop is counted.
+*/
+
+function createBucket(limit) {
+   return {'tokens':limit.burst, 'last':Date.now()};
+}
+
+function takeToken(bucket, limit) {
+   let now = Date.now();
+   bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.last) / 1000 * limit.rate);
+   bucket.last = now;
+   if (bucket.tokens < 1) return false;
+   bucket.tokens -= 1;
+   return true;
+}
+
+function createRateLimiter(limits, eventBudget) {
+   let buckets = {};
+   let counters = {'allowed':0, 'dropped':0, 'droppedByBudget':{}, 'warnings':0};
+   
+   return {
+      'counters': counters,
+      'budgetFor': function(event) {
+         return (Object.hasOwn(eventBudget, event)) ? eventBudget[event] : 'other';
+      },
+      'allow': function(event) {
+         let budget = this.budgetFor(event);
+         let limit = limits[budget];
+         if (!limit) {
+            counters.allowed++;
+            return true;
+         }
+         if (!buckets[budget]) buckets[budget] = createBucket(limit);
+         
+         if (takeToken(buckets[budget], limit)) {
+            counters.allowed++;
+            return true;
+         }
+         counters.dropped++;
+         counters.droppedByBudget[budget] = (counters.droppedByBudget[budget] || 0) + 1;
+         return false;
+      }
+   };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,135 @@
+// lib/recording.js
+// Session recording and replay for rooms.
+
+/*
+A recording is a JSONL file: a header line, then one line per captured event with the time (t, in ms)
+since the recording started, the event name, the user name of the sender, and the payload.
+
+   {"type":"header","room":"r1","started":"2025-07-30T18:00:00.000Z"}
+   {"t":0,"event":"join","from":"u2","data":{...}}
+   {"t":16,"event":"client-mK-event","from":"u2","data":{...}}
+
+Replay reads that file back and calls emit(event, from, data) at the original timing, optionally sped up.
+A process killed mid-write leaves a partial last line; lines that don't parse are skipped (and counted).
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+function safeFileName(dir, fileName) {
+   // Only plain file names in the recordings directory; nothing that climbs out of it.
+   let baseName = path.basename(String(fileName));
+   if (!baseName.endsWith('.jsonl')) return null;
+   return path.join(dir, baseName);
+}
+
+function startRecording(dir, roomName) {
+   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+   
+   let startTime = Date.now();
+   let stamp = new Date(startTime).toISOString().replace(/[:.]/g, '-');
+   let fileName = String(roomName).replace(/[^\w-]/g, '_') + '_' + stamp + '.jsonl';
+   let stream = fs.createWriteStream(path.join(dir, fileName), {'flags':'a'});
+   let count = 0;
+   
+   stream.write(JSON.stringify({'type':'header', 'room':roomName, 'started':new Date(startTime).toISOString()}) + '\n');
+   
+   return {
+      'fileName': fileName,
+      'write': function(event, from, data) {
+         count++;
+         stream.write(JSON.stringify({'t':Date.now() - startTime, 'event':event, 'from':from, 'data':data}) + '\n');
+      },
+      'stop': function() {
+         stream.end();
+         return count;
+      }
+   };
+}
+
+function recordingRoom(dir, fileName) {
+   // The room named in the header line, or null. Only the start of the file is read.
+   let filePath = safeFileName(dir, fileName);
+   if (!filePath || !fs.existsSync(filePath)) return null;
+   let buffer = Buffer.alloc(4096);
+   let fd = fs.openSync(filePath, 'r');
+   let length;
+   try {
+      length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+   } finally {
+      fs.closeSync(fd);
+   }
+   try {
+      let header = JSON.parse(buffer.toString('utf8', 0, length).split('\n')[0]);
+      return (header.type == 'header') ? header.room : null;
+   } catch (error) {
+      return null;
+   }
+}
+
+function listRecordings(dir, roomName) {
+   // All recordings, or (with roomName) only that room's.
+   if (!fs.existsSync(dir)) return [];
+   let fileNames = fs.readdirSync(dir).filter(fileName => fileName.endsWith('.jsonl')).sort();
+   return (roomName === undefined) ? fileNames : fileNames.filter(fileName => recordingRoom(dir, fileName) === roomName);
+}
+
+function loadRecording(dir, fileName) {
+   // Returns {room, entries, skipped} (header dropped from entries), or null if there is no such recording.
+   let filePath = safeFileName(dir, fileName);
+   if (!filePath || !fs.existsSync(filePath)) return null;
+   
+   let room = null, entries = [], skipped = 0;
+   for (let line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (line.trim() == '') continue;
+      let entry;
+      try {
+         entry = JSON.parse(line);
+      } catch (error) {
+         skipped++;
+         continue;
+      }
+      if (entry.type == 'header') {
+         room = entry.room;
+      } else if (typeof entry.t === 'number') {
+         entries.push(entry);
+      } else {
+         skipped++;
+      }
+   }
+   return {'room':room, 'entries':entries, 'skipped':skipped};
+}
+
+function replayRecording(entries, rate, emit, done) {
+   // Play the entries relative to the first one. A rate of 2 plays twice as fast.
+   // Only one timer is pending at a time: each time it fires, everything that is due goes out, then the next is set.
+   rate = (rate > 0) ? rate : 1;
+   let timer = null;
+   let index = 0;
+   let t0 = (entries.length > 0) ? entries[0].t : 0;
+   let start = Date.now();
+   
+   function playDue() {
+      let elapsed = (Date.now() - start) * rate;
+      while ((index < entries.length) && (entries[index].t - t0 <= elapsed)) {
+         let entry = entries[index++];
+         emit(entry.event, entry.from, entry.data);
+      }
+      if (index < entries.length) {
+         timer = setTimeout(playDue, Math.max(0, (entries[index].t - t0) / rate - (Date.now() - start)));
+      } else {
+         timer = null;
+         if (done) done(entries.length);
+      }
+   }
+   timer = setTimeout(playDue, 0);
+   
+   return {
+      'stop': function() {
+         clearTimeout(timer);
+         timer = null;
+      }
+   };
+}
+
+module.exports = { startRecording, listRecordings, loadRecording, replayRecording };
@@ -0,0 +1,39 @@
+// lib/sanitize.js
+// Cleaning user-supplied text before it is relayed. The clients render chat as HTML.
+
+// The only markup players may use: a few inline tags, with no attributes.
+const allowedTags = ['b', 'strong', 'i', 'em', 'u', 'br'];
+
+function escapeHTML(text) {
+   return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Keep allowed tags (bare, e.g. <strong> </strong> <br> <br/>) and escape everything else.
+function sanitizeHTML(text) {
+   let result = '', position = 0;
+   let tagPattern = /<\s*(\/?)\s*([a-zA-Z]+)\s*(\/?)\s*>/g, match;
+   text = String(text);
+   while ((match = tagPattern.exec(text)) !== null) {
+      result += escapeHTML(text.slice(position, match.index));
+      let tagName = match[2].toLowerCase();
+      if (allowedTags.includes(tagName)) {
+         result += (tagName == 'br') ? '<br>' : '<' + match[1] + tagName + '>';
+      } else {
+         result += escapeHTML(match[0]);
+      }
+      position = tagPattern.lastIndex;
+   }
+   return result + escapeHTML(text.slice(position));
+}
+
+// Replace listed words (whole words, any case) with asterisks.
+function createWordFilter(words) {
+   words = words.map(word => word.trim()).filter(word => word != '');
+   if (words.length == 0) return text => text;
+   let escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+   let pattern = new RegExp('\\b(' + escaped.join('|') + ')\\b', 'gi');
+   return text => text.replace(pattern, word => '*'.repeat(word.length));
+}
+
+module.exports = { escapeHTML, sanitizeHTML, createWordFilter, allowedTags };
@@ -0,0 +1,204 @@
+// lib/schemas.js
+// Payload schemas for the inbound Socket.io events, and the validator the server runs them through.
+
+/*
+Every event a page sends to the server has a schema here. The server checks the payload (the first argument)
+before the handler runs; a payload that fails is dropped, and the sender gets
+
+   socket.on('error', function(msg) { ... });    // {event, field, reason, message}
+
+where field is a path into the payload ('data.displayThis', 'teams[2].name'), or null for the payload itself.
+
+The schemas use a small part of JSON Schema (type, enum, required, properties, items, minLength, maxLength,
+minimum, maximum, maxItems) plus maxBytes, the size of the value as JSON. A missing payload counts as null.
+
+This file also runs in the browser, so pages can check what they send against the same definitions:
+
+   <script src="/schemas.js"></script>
+   let problem = springsSchemas.validate('roomJoin', {'roomName':'r1'});    // null when the payload is fine
+
+(GET /schemas returns the definitions as JSON.) The file is wrapped in a function so that it adds only
+springsSchemas to a page.
+*/
+
+(function() {
+   const nameString = {'type':'string', 'maxLength':100};
+   const chatText = {'type':'string', 'maxLength':2000};
+   const playerField = {'type':['boolean', 'string', 'null'], 'maxLength':50};
+   const noPayload = {'maxBytes':1024};    // Events that carry nothing; tolerate a small something.
+
+   const teamList = {'type':'array', 'maxItems':16, 'items':{'type':'object', 'required':['name'], 'properties':{
+      'name': {'type':'string', 'minLength':1, 'maxLength':100},
+      'color': {'type':['string', 'null'], 'maxLength':20},
+      'maxSize': {'type':['integer', 'null'], 'minimum':0, 'maximum':1000}
+   }}};
+
+   const roomInfoFields = {
+      'gameMode': {'type':['string', 'null'], 'maxLength':100},
+      'maxPlayers': {'type':['integer', 'null'], 'minimum':0, 'maximum':10000},
+      'public': {'type':'boolean'}
+   };
+
+   const schemas = {
+      'echo-from-Client-to-Server': {'type':'string', 'enum':['server', 'host']},
+      'echo-from-Host-to-Server': nameString,
+      'chat message': chatText,
+      'chat message but not me': chatText,
+      'team chat message': chatText,
+      'signaling message': {'type':'object', 'required':['to'], 'maxBytes':64 * 1024, 'properties':{
+         'to': nameString
+      }},
+      'ice-config': noPayload,
+      'relay-negotiate': {'type':'object', 'required':['to', 'action'], 'properties':{
+         'to': nameString,
+         'action': {'type':'string', 'enum':['request', 'accept', 'decline', 'close']},
+         'reason': {'type':['string', 'null'], 'maxLength':100}
+      }},
+      'relay-data': {'type':'object', 'required':['to', 'channel', 'data'], 'maxBytes':64 * 1024, 'properties':{
+         'to': nameString,
+         'channel': {'type':'string', 'enum':['ordered', 'unordered']}
+      }},
+      'control message': {'type':'object', 'required':['to', 'data'], 'maxBytes':64 * 1024, 'properties':{
+         'to': nameString,
+         'data': {'type':'object', 'properties':{
+            'displayThis': chatText
+         }}
+      }},
+      'name report': {'type':'object', 'required':['nickName'], 'properties':{
+         'nickName': nameString,
+         'teamName': {'type':['string', 'null'], 'maxLength':100}
+      }},
+      'client-mK-event': {'type':'object', 'maxBytes':8 * 1024},
+      'roomJoin': {'type':'object', 'required':['roomName'], 'maxBytes':16 * 1024, 'properties':Object.assign({
+         'roomName': {'type':'string', 'minLength':1, 'maxLength':100},
+         'hostOrClient': {'type':'string', 'enum':['host', 'client']},
+         'requestStream': {'type':'boolean'},
+         'player': playerField,
+         'password': {'type':['string', 'null'], 'maxLength':200},
+         'inviteCode': {'type':['string', 'null'], 'maxLength':100},
+         'useInviteCode': {'type':'boolean'},
+         'spectator': {'type':'boolean'},
+         'waitlist': {'type':'boolean'},
+         'teams': teamList
+      }, roomInfoFields)},
+      'clientDisconnectByHost': nameString,
+      'okDisconnectMe': nameString,
+      'shutDown-p2p-deleteClient': nameString,
+      'room-snapshot': {'type':'object', 'properties':{
+         'version': {'type':'number'},
+         'baseVersion': {'type':'number'},
+         'state': {'type':['object', 'array', 'null'], 'maxBytes':512 * 1024},
+         'delta': {'type':'object', 'maxBytes':512 * 1024}
+      }},
+      'recording': {'type':['object', 'null'], 'properties':{
+         'on': {'type':'boolean'}
+      }},
+      'recording-list': noPayload,
+      'replay-recording': {'type':'object', 'required':['fileName'], 'properties':{
+         'fileName': {'type':'string', 'minLength':1, 'maxLength':200},
+         'rate': {'type':'number', 'minimum':0.01, 'maximum':100}
+      }},
+      'replay-stop': noPayload,
+      'room list': {'type':['object', 'null'], 'properties':{
+         'subscribe': {'type':'boolean'}
+      }},
+      'room-info': {'type':'object', 'properties':roomInfoFields},
+      'room-lock': {'type':['object', 'null'], 'properties':{
+         'locked': {'type':'boolean'}
+      }},
+      'team-setup': {'type':'object', 'required':['teams'], 'properties':{
+         'teams': teamList,
+         'balance': {'type':'boolean'}
+      }},
+      'team-join': {'type':'object', 'properties':{
+         'teamName': {'type':['string', 'null'], 'maxLength':100}
+      }},
+      'room-role': {'type':'object', 'required':['role'], 'properties':{
+         'role': {'type':'string', 'enum':['player', 'spectator']},
+         'requestStream': {'type':'boolean'},
+         'player': playerField
+      }},
+      'input-batching': {'type':'object', 'properties':{
+         'on': {'type':'boolean'},
+         'tick_ms': {'type':['integer', 'null'], 'minimum':10, 'maximum':1000},
+         'positionFields': {'type':['array', 'null'], 'maxItems':32, 'items':nameString}
+      }},
+      'host-volunteer': noPayload,
+      'command-from-host-to-all-clients': {'maxBytes':64 * 1024}
+   };
+
+   function typeOf(value) {
+      if (value === null) return 'null';
+      if (Array.isArray(value)) return 'array';
+      if (Number.isInteger(value)) return 'integer';
+      return typeof value;
+   }
+
+   function typeName(type) {
+      return {'object':'an object', 'array':'an array', 'integer':'an integer', 'null':'null'}[type] || 'a ' + type;
+   }
+
+   function byteSize(value) {
+      let json = JSON.stringify(value);
+      return (json === undefined) ? 0 : new TextEncoder().encode(json).length;
+   }
+
+   function childField(field, name) {
+      return (field) ? field + '.' + name : name;
+   }
+
+   function check(schema, value, field) {
+      // Returns null, or the first problem found: {field, reason, message}.
+      let fail = (reason, text) => ({'field':field, 'reason':reason, 'message':((field) ? field : 'The payload') + ' ' + text + '.'});
+
+      if (schema.type) {
+         let types = [].concat(schema.type);
+         let actual = typeOf(value);
+         if (!types.some(type => (type == actual) || ((type == 'number') && (actual == 'integer')))) return fail('wrong-type', 'must be ' + types.map(typeName).join(' or '));
+      }
+      if (schema.enum && !schema.enum.includes(value)) return fail('not-allowed', 'must be one of ' + schema.enum.join(', '));
+      if (typeof value === 'string') {
+         if ((schema.minLength !== undefined) && (value.length < schema.minLength)) return fail('too-short', 'must be at least ' + schema.minLength + ' characters');
+         if ((schema.maxLength !== undefined) && (value.length > schema.maxLength)) return fail('too-long', 'must be at most ' + schema.maxLength + ' characters');
+      }
+      if (typeof value === 'number') {
+         if (((schema.minimum !== undefined) && (value < schema.minimum)) || ((schema.maximum !== undefined) && (value > schema.maximum))) {
+            return fail('out-of-range', 'must be from ' + schema.minimum + ' to ' + schema.maximum);
+         }
+      }
+      if ((schema.maxBytes !== undefined) && (byteSize(value) > schema.maxBytes)) return fail('too-large', 'must be at most ' + schema.maxBytes + ' bytes (as JSON)');
+
+      if (Array.isArray(value)) {
+         if ((schema.maxItems !== undefined) && (value.length > schema.maxItems)) return fail('too-many', 'must have at most ' + schema.maxItems + ' items');
+         if (schema.items) {
+            for (let i = 0; i < value.length; i++) {
+               let problem = check(schema.items, value[i], (field || '') + '[' + i + ']');
+               if (problem) return problem;
+            }
+         }
+      } else if (typeOf(value) == 'object') {
+         for (let name of (schema.required || [])) {
+            if (value[name] === undefined) return {'field':childField(field, name), 'reason':'missing', 'message':childField(field, name) + ' is required.'};
+         }
+         for (let name in (schema.properties || {})) {
+            if (value[name] === undefined) continue;
+            let problem = check(schema.properties[name], value[name], childField(field, name));
+            if (problem) return problem;
+         }
+      }
+      return null;
+   }
+
+   function validate(event, payload) {
+      // null if the payload is fine (or the event has no schema), otherwise {field, reason, message}.
+      if (!Object.prototype.hasOwnProperty.call(schemas, event)) return null;
+      let schema = schemas[event];
+      return check(schema, (payload === undefined) ? null : payload, null);
+   }
+
+   if (typeof module !== 'undefined') {
+      module.exports = { schemas, validate };
+   } else {
+      window.springsSchemas = { 'schemas':schemas, 'validate':validate };
+   }
+})();
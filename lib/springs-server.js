@@ -0,0 +1,1986 @@
+// lib/springs-server.js
+// The Springs & Pucks server (Express routes, Socket.io relays, rooms) as a factory, so it can be embedded or run more than once.
+
+/*
+server.js is the command-line wrapper. To embed:
+
+   const { createSpringsServer } = require('./lib/springs-server');
+   const springs = createSpringsServer({'settings':{'idleTimeout_m':10}, 'baseDir':'/tmp/springs-test'});
+   springs.events.on('room-created', room => console.log(room.roomName, room.userName));
+   await springs.listen(3000);
+   ...
+   await springs.close();
+
+Options (all optional):
+
+   settings       setting values as in lib/config.js (missing ones get their defaults); read live
+   server, app    an existing HTTP(S) server and Express app to attach to (the caller listens); otherwise new ones.
+                  close() leaves a caller's server open, and a caller's app serves static files only if settings.staticRoot is given
+   https          {key, cert} for a new HTTPS server (otherwise HTTP)
+   caCert         path of a CA certificate for devices to install, offered at /ca.crt and /ca.pem (see lib/certificates.js)
+   baseDir        where state/, logs/, recordings/ and commands/ are (default: the directory above lib/)
+   stateStore     {backend, file, redisURL}, see lib/store.js (default: memory)
+   sessionSecret  for the resume tokens (default: generated and kept in state/session-secret)
+   adminToken     turns on the admin API and /login
+   wordList       words for the chat filter
+   log            a logger from lib/log.js (default: one made from the settings)
+
+Events (springs.events):
+
+   room-created      {roomName, userName, socketID}, a new host took a room
+   room-closed       {roomName, reason}, e.g. host-lost, admin, empty
+   client-joined     {roomName, userName, nickName, teamName, socketID, seat}, seat is player, spectator or waitlist
+   client-left       {roomName, userName, socketID}
+   host-left         {roomName, userName, socketID}, the room now waits for the host (see startHostGrace)
+   message-relayed   {event, roomName, userName, socketID, data}, for chat, signaling, control, input and host commands
+   closed            after close()
+
+close({restart:true, reason}) also sends server-shutdown and saves the rooms for the next start.
+
+Rooms, joins, the relays and restarts are here. The admin API (lib/admin-api.js), the built-in chat commands
+(lib/builtin-commands.js) and the per-feature socket handlers (lib/handlers/) get this server's state and helpers as core.
+*/
+
+const express = require('express');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { createRateLimiter } = require('./rate-limit');
+const { createRegistry } = require('./metrics');
+const { createStore } = require('./store');
+const { createCommandRegistry } = require('./chat-commands');
+const { escapeHTML, sanitizeHTML, createWordFilter } = require('./sanitize');
+const config = require('./config');
+const { createLogger } = require('./log');
+const { createLinkStats, qualityBars } = require('./link-quality');
+const { schemas, validate } = require('./schemas');
+const { iceConfig } = require('./ice-config');
+const { createAdminRouter } = require('./admin-api');
+const { registerBuiltinCommands } = require('./builtin-commands');
+const { createLobby, lobbyRoom } = require('./handlers/lobby');
+const { createSnapshots } = require('./handlers/snapshots');
+const { createRecordings } = require('./handlers/recordings');
+const { createTeams } = require('./handlers/teams');
+const { createInputBatching } = require('./handlers/input-batching');
+const { createRelay } = require('./handlers/relay');
+
+function createSpringsServer(options={}) {
+   // Settings are read where they are used, so changes to the object (a SIGHUP reload in server.js) take effect.
+   // Anything not given gets its default from lib/config.js.
+   const settings = options.settings || {};
+   const staticRootGiven = (settings.staticRoot !== undefined);
+   for (let name in config.settings) {
+      if (settings[name] === undefined) settings[name] = config.settings[name].default;
+   }
+
+   // state/, logs/, recordings/ and commands/ live here.
+   const baseDir = options.baseDir || path.join(__dirname, '..');
+
+   // Log lines carry the socket id, user name, room and event they are about (see socketFields). With roomLogs,
+   // each room's lines also go to logs/rooms/<room>.log.
+   const log = options.log || createLogger({'level':settings.logLevel, 'format':settings.logFormat,
+                                            'roomDir':(settings.roomLogs) ? path.join(baseDir, 'logs', 'rooms') : null});
+
+   // Lifecycle hooks for the embedding code (see emitEvent).
+   const events = new EventEmitter();
+
+   // An Express app and HTTP(S) server of our own, unless the caller hands us theirs. Theirs stay theirs: close()
+   // doesn't close the server, and their app only serves files if they set staticRoot.
+   const app = options.app || express();
+   const server = options.server || ((options.https) ? https.createServer(options.https, app) : http.createServer(app));
+   const serveStatic = !options.app || staticRootGiven;
+   const secure = (server instanceof https.Server);
+
+   function originAllowed(origin) {
+      return (settings.corsOrigin == '*') || settings.corsOrigin.includes(origin);
+   }
+
+   // Socket.io with CORS options. The origin is checked per request so that a SIGHUP reload takes effect.
+   const ioOptions = {
+      'cors': {
+         'origin': function(origin, callback) {
+            callback(null, (settings.corsOrigin == '*') ? '*' : originAllowed(origin));
+         },
+         'methods': ["GET", "POST", "OPTIONS"],
+         'credentials': false,
+         'transports': ['websocket', 'polling']
+      },
+      'allowEIO3': true
+   };
+
+   // Socket.io replaces the server's request listeners with its own (which pass other requests on). On a caller's
+   // server, close() takes its listeners off again and puts the caller's back (see detachIO).
+   const serverEvents = ['request', 'upgrade', 'close', 'listening'];
+   const callerListeners = new Map(serverEvents.map(event => [event, server.listeners(event)]));
+   const io = require('socket.io')(server, ioOptions);
+   const ioListeners = new Map(serverEvents.map(event => [event,
+      server.listeners(event).filter(listener => !callerListeners.get(event).includes(listener))]));
+
+   // Where the shared maps live (see lib/store.js): options.stateStore is {backend, file, redisURL}, memory by default.
+   // With redis, the Socket.io adapter is also pointed at Redis so that io.to(...) reaches sockets held by other
+   // server processes. Every process behind the load balancer needs the same sessionSecret.
+   const stateStore = Object.assign({'backend':'memory'}, options.stateStore);
+   if (!stateStore.file) stateStore.file = path.join(baseDir, 'state', 'springs-state.jsonl');
+   const store = createStore(Object.assign({'log':log}, stateStore));
+   var adapterReady = Promise.resolve();
+   var adapterClients = [];
+   if (stateStore.backend == 'redis') {
+      const { createClient } = require('redis');
+      const { createAdapter } = require('@socket.io/redis-adapter');
+      const pubClient = createClient({'url':stateStore.redisURL});
+      const subClient = pubClient.duplicate();
+      adapterClients = [pubClient, subClient];
+      adapterReady = Promise.all([pubClient.connect(), subClient.connect()]).then(function() {
+         io.adapter(createAdapter(pubClient, subClient));
+      });
+   }
+   log.info('State store: ' + stateStore.backend, {'event':'startup'});
+
+   // Add CORS headers for Express routes
+   app.use(function(req, res, next) {
+      if (settings.corsOrigin == '*') {
+         res.header("Access-Control-Allow-Origin", "*");
+      } else {
+         res.header("Vary", "Origin");
+         if (originAllowed(req.get('Origin'))) res.header("Access-Control-Allow-Origin", req.get('Origin'));
+      }
+      res.header("Access-Control-Allow-Headers", "Origin, X-Requested-With, Content-Type, Accept");
+      res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+      next();
+   });
+
+   // Keep server-side files (certificates, recordings) out of the static file serving. Windows and macOS file names
+   // ignore case (and Windows trailing dots and spaces), so /SSL/ and /ssl./ are the same directory as /ssl/.
+   const privateDirs = ['ssl', 'recordings', 'state', 'logs'];
+   app.use(function(req, res, next) {
+      let topDir = decodeURIComponent(req.path).split(/[\/\\]/).filter(part => (part != '') && (part != '.'))[0] || '';
+      if (privateDirs.includes(topDir.toLowerCase().replace(/[. ]+$/, ''))) return res.status(404).end();
+      next();
+   });
+
+   // Serve static files
+   if (serveStatic) {
+      app.use(express.static(settings.staticRoot));
+
+      // Add routes for testing
+      app.get('/', function(req, res) {
+         // In a browser, if you set the URL to localhost:3000, you'll get this page:
+         res.sendFile('links.html', {'root': settings.staticRoot});   
+      });
+   }
+
+   app.get('/status', function(req, res) {
+      res.json({
+         status: 'ok',
+         secure: secure,
+         environment: options.environment || ((secure) ? 'development' : 'production'),
+         timestamp: new Date().toISOString()
+      });
+   });
+
+   // The lobby: public rooms with a host, for a room picker on the client page. Also pushed over sockets ('room list').
+   app.get('/rooms', function(req, res) {
+      res.json({'rooms':lobbyList()});
+   });
+
+   // The inbound event schemas (lib/schemas.js), for pages that want to check what they send.
+   app.get('/schemas.js', function(req, res) {
+      res.sendFile(path.join(__dirname, 'schemas.js'));
+   });
+   
+   app.get('/schemas', function(req, res) {
+      res.json(schemas);
+   });
+   
+   // The local CA's certificate (never its key), for phones and laptops on the LAN to install and trust.
+   // /ca.crt is DER, which is what most phones expect from a download; /ca.pem is the same certificate as text.
+   app.get(['/ca.crt', '/ca.pem'], function(req, res) {
+      if (!options.caCert || !fs.existsSync(options.caCert)) return res.status(404).json({'error':'no local CA'});
+      let pem = fs.readFileSync(options.caCert);
+      if (req.path == '/ca.pem') {
+         res.attachment('springs-local-ca.pem');
+         res.set('Content-Type', 'application/x-pem-file');
+         res.send(pem);
+      } else {
+         res.attachment('springs-local-ca.crt');
+         res.set('Content-Type', 'application/x-x509-ca-cert');
+         res.send(new crypto.X509Certificate(pem).raw);
+      }
+   });
+   
+   // ICE servers for the pages' peer connections (see lib/ice-config.js). TURN credentials are minted for the user
+   // named by ?userName, with that user's resume token as "Authorization: Bearer <token>"; otherwise STUN only.
+   app.get('/ice-config', function(req, res) {
+      let userName = req.query.userName || null;
+      let token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+      if (userName && token) {
+         let problem = checkSessionToken(token, userName);
+         if (problem) return res.status(401).json({'error':problem});
+      }
+      let result = iceConfig(settings, (userName && token) ? userName : null);
+      if (result.turn) turnCredentialCounter.inc({'via':'http'});
+      res.set('Cache-Control', 'no-store');
+      res.json(result);
+   });
+   
+   // Prometheus scrape target (see the metrics registry below).
+   app.get('/metrics', function(req, res) {
+      res.set('Content-Type', 'text/plain; version=0.0.4');
+      res.send(metrics.render());
+   });
+
+   // Put various client data (cD) and maps in one object (one per server instance).
+   // The maps that describe users and rooms come from the state store so that they can be shared between server
+   // processes. They behave like plain objects. The maps further down (timers, streams, limiters) stay local.
+   var cD = {};
+   cD.connectionIndex = 0;
+   cD.nameIndex = 0;
+
+   // Map: userName[socket.id]
+   cD.userName = store.map('userName');
+   cD.nickName = store.map('nickName');
+   cD.teamName = store.map('teamName');
+   // Nick, team and room names are stored as typed (up to this length) and escaped where they go into HTML (chat).
+   const maxNameLength = 100;
+
+   // Map: id[userName]
+   cD.id = store.map('id');
+
+   // Map: connectedAt[socket.id], ms timestamp of the connection
+   cD.connectedAt = store.map('connectedAt');
+
+   // Map: room[socket.id], i.e. roomName
+   cD.room = store.map('room');
+
+   // Map: hostID[roomName]
+   cD.hostID = store.map('hostID');
+
+   // Map: hostGrace[roomName]
+   // Rooms that have lost their host. The entry holds the host's user name, the grace timer, and the
+   // ids of any clients that have volunteered to take over as host.
+   cD.hostGrace = {};
+
+   // Map: roomInfo[roomName]
+   // What the host publishes about the room for the lobby: game mode (or demo name), max players, and whether to list it.
+   cD.roomInfo = store.map('roomInfo');
+
+   // Map: role[socket.id], 'player' or 'spectator' for the clients in a room (the host has no entry).
+   // Spectators get the room broadcasts, but the host never hears about them and their mouse and keyboard events are dropped.
+   cD.role = store.map('role');
+
+   // Map: waitlist[roomName], spectators waiting for a player slot ({userName, requestStream, player}), first come first served.
+   // Shared; replace the list to change it.
+   cD.waitlist = store.map('waitlist');
+
+   // Map: roomAccess[roomName]
+   // Optional join restrictions set by the host: a password (salted hash), an invite code, and a lock.
+   // Shared; replace the whole entry when changing it.
+   cD.roomAccess = store.map('roomAccess');
+
+   // Map: snapshot[roomName]
+   // The latest world state (pucks, springs, scores) sent by each host, handed to clients that join mid-game.
+   // Limits and the host's 'room-snapshot' updates are in lib/handlers/snapshots.js.
+   cD.snapshot = {};
+
+   // Map: recorder[roomName]
+   // Rooms whose traffic is being recorded (opt-in by the host). Recordings go to recordingsDir as JSONL.
+   // Starting, stopping and replaying them is in lib/handlers/recordings.js.
+   cD.recorder = {};
+   const recordingsDir = path.join(baseDir, 'recordings');
+
+   // Map: admin[socket.id]
+   // Sockets that have logged in as admin (/login with the ADMIN_TOKEN). They may use every chat command.
+   cD.admin = {};
+
+   // Map: muted[roomName], a list of user names whose chat is not relayed. Shared; replace the list to change it.
+   cD.muted = store.map('muted');
+
+   // Map: chatHistory[roomName], the most recent room chat ({time, userName, from, text}), oldest first.
+   // Sent to clients as they join. Shared; replace the list to change it.
+   cD.chatHistory = store.map('chatHistory');
+   const chatHistoryLength = 50;
+
+   // Map: blocked[roomName], a list of {userName, nickName} kept out of the room. Shared; replace the list to change it.
+   cD.blocked = store.map('blocked');
+
+   // Map: teams[roomName], the teams the host has defined ({name, color, maxSize}), in order. Membership is teamName[socket.id].
+   // Rooms without an entry take any team name. Shared; replace the list to change it.
+   // Setting them up, joining and balancing them is in lib/handlers/teams.js.
+   cD.teams = store.map('teams');
+
+   // Map: inputBatching[roomName], {tick_ms, positionFields} for rooms whose host wants client-mK-event traffic in
+   // one client-mK-StH-batch per tick (see lib/input-batch.js). Shared; replace the whole entry when changing it.
+   cD.inputBatching = store.map('inputBatching');
+
+   // Map: batcher[roomName], {settings, batcher}: the batcher for this process's share of a batching room's input,
+   // and the inputBatching entry it was made from. Both are managed in lib/handlers/input-batching.js.
+   cD.batcher = {};
+
+   // Map: relayPairs[roomName], a list of {users, state, requestedBy, since} for a host and client that use the
+   // server as their data channel (state requested or open; users are the two user names). Shared; replace the list to change it.
+   cD.relayPairs = store.map('relayPairs');
+
+   // Map: relay[roomName]
+   // The room's relayed channels and bandwidth budget (see lib/data-relay.js). Local to this process, like limiter;
+   // with several processes, each gives a room the full relayBandwidth_kBps for its share of the traffic.
+   // Both are managed in lib/handlers/relay.js.
+   cD.relay = {};
+
+   // Optional word filter (options.wordList). Matches are replaced by asterisks.
+   const wordFilter = createWordFilter(options.wordList || []);
+
+   // Moderation actions (mutes, blocks, kicks, filtered or sanitized messages) are appended here for review.
+   const moderationLogPath = path.join(baseDir, 'logs', 'moderation.jsonl');
+
+   // Map: limiter[socket.id]
+   // Per-socket token buckets for inbound events (see lib/rate-limit.js). Rates are events per second.
+   // The budgets come from the rateLimits setting; ones it leaves out keep their defaults.
+   cD.limiter = {};
+   const rateLimits = Object.assign({}, config.settings.rateLimits.default, settings.rateLimits);
+   const rateLimitEventBudget = {
+      'client-mK-event': 'input',
+      'signaling message': 'signaling',
+      'relay-negotiate': 'signaling',
+      'ice-config': 'signaling',
+      'relay-data': 'relay',
+      'control message': 'control',
+      'command-from-host-to-all-clients': 'control',
+      'room-snapshot': 'control',
+      'input-batching': 'control',
+      'chat message': 'chat',
+      'chat message but not me': 'chat',
+      'team chat message': 'chat'
+   };
+   // Warn at most this often, and disconnect a socket that has this many events dropped within a minute.
+   const rateLimitWarning_s = 10;
+   const rateLimitDisconnectDrops = 500;
+
+   // Map: link[socket.id]
+   // Rolling round-trip statistics from the server's pings (see lib/link-quality.js). Local to this process, like limiter.
+   cD.link = {};
+
+   // How long a room waits for its host to come back (in 're-connect' mode) before it is handed off or closed.
+   const hostGrace_s = 30;
+
+   // Metrics for /metrics. The gauges are read from the maps when scraped; the counters and histogram are fed
+   // by the connection handler and the inbound-event middleware.
+   const metrics = createRegistry('springs_');
+   metrics.gauge('sockets', 'Open Socket.io connections.', () => io.engine.clientsCount);
+   metrics.gauge('rooms', 'Rooms, including those waiting for a host to return.', () => allRoomNames().length);
+   metrics.gauge('hosts', 'Rooms that have a host.', () => Object.keys(cD.hostID).length);
+   metrics.gauge('room_clients', 'Members (host included) per room.', () => allRoomNames().map(roomName => [{'room':roomName}, roomRoster(roomName).length]));
+   metrics.gauge('connection_attempts_total', 'Connection events since the server started.', () => cD.connectionIndex, 'counter');
+   const reconnectCounter = metrics.counter('reconnects_total', 'Re-connect mode connections, by result.');
+   const idleDisconnectCounter = metrics.counter('idle_disconnects_total', 'Sockets disconnected by the idle timer, by role.');
+   const messageCounter = metrics.counter('messages_total', 'Inbound events accepted, by event (other for unknown events).');
+   const messageBytesCounter = metrics.counter('message_bytes_total', 'Payload bytes (as JSON) of inbound events accepted, by event.');
+   const droppedCounter = metrics.counter('rate_limited_total', 'Inbound events dropped by the rate limiter, by budget.');
+   const turnCredentialCounter = metrics.counter('turn_credentials_total', 'TURN credentials minted, by how they were asked for (socket or http).');
+   const invalidCounter = metrics.counter('invalid_messages_total', 'Inbound events dropped because the payload failed its schema, by event.');
+   const relayHistogram = metrics.histogram('relay_duration_seconds', 'Time from receiving an event to finishing its handler (relay included), by event.',
+                                            [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1]);
+   const pingHistogram = metrics.histogram('ping_rtt_seconds', 'Round trip of the server\'s pings, by role.',
+                                           [0.01, 0.025, 0.05, 0.1, 0.2, 0.4, 0.8, 1.6, 3.2]);
+
+   // The admin API and /login need this token; without it both are off.
+   const adminToken = options.adminToken || null;
+
+   // What the modules split out of this file (the admin API, the built-in chat commands, the feature handlers) share:
+   // the state, the sockets and the room helpers below. The functions are hoisted, so they can be listed here.
+   const core = {
+      'settings': settings, 'log': log, 'io': io, 'cD': cD, 'metrics': metrics, 'adminToken': adminToken, 'moderationLogPath': moderationLogPath,
+      'recordingsDir': recordingsDir, 'maxNameLength': maxNameLength, 'setDefault': setDefault, 'sameString': sameString, 'socketFields': socketFields,
+      'allRoomNames': allRoomNames, 'roomSummary': roomSummary, 'roomMembers': roomMembers, 'roomRoster': roomRoster, 'playerCount': playerCount,
+      'roomReport': roomReport, 'closeRoom': closeRoom, 'setRoomInfo': setRoomInfo, 'setRoomLock': setRoomLock, 'findUser': findUser,
+      'nameInUse': nameInUse, 'displayNameHTML': displayNameHTML, 'announceNameChange': announceNameChange, 'relayed': relayed,
+      'cleanChat': cleanChat, 'isMuted': isMuted, 'setMuted': setMuted, 'setBlocked': setBlocked, 'logModeration': logModeration, 'kickUser': kickUser,
+      'disconnectClientsInOneRoom': disconnectClientsInOneRoom, 'disconnectClientsInAllRooms': disconnectClientsInAllRooms
+   };
+
+   // The lobby of public rooms, see lib/handlers/lobby.js.
+   const lobby = createLobby(core);
+   const { lobbyList, lobbyChanged } = lobby;
+   Object.assign(core, {'lobbyEntry': lobby.lobbyEntry, 'lobbyList': lobby.lobbyList});
+
+   // The host's room snapshots, see lib/handlers/snapshots.js.
+   const snapshots = createSnapshots(core);
+
+   // Recording rooms and replaying recordings into a host, see lib/handlers/recordings.js.
+   const recordings = createRecordings(core);
+   const { record, stopRecording } = recordings;
+
+   // The host's teams, see lib/handlers/teams.js.
+   const teams = createTeams(core);
+   const { findTeam, teamMembers, sendTeamRoster, teamProblem, sendTeamChange, setTeams } = teams;
+   Object.assign(core, {'setTeam': teams.setTeam, 'teamRoster': teams.teamRoster, 'balanceTeams': teams.balanceTeams, 'sendTeamChat': teams.sendTeamChat});
+
+   // Batching the room's client-mK-event traffic for the host, see lib/handlers/input-batching.js.
+   const inputBatching = createInputBatching(core);
+   const { inputBatcher, inputBatchingStatus } = inputBatching;
+
+   // Relay mode, data channels through the server for peers that can't connect directly, see lib/handlers/relay.js.
+   const relay = createRelay(core);
+   const { closeRelayPairs } = relay;
+
+   // Admin API (JSON) under /admin, see lib/admin-api.js.
+   app.use('/admin', createAdminRouter(core));
+
+   // Resume tokens are signed with this secret. Without options.sessionSecret, one is generated once and kept in
+   // state/session-secret, so that tokens still work after a restart.
+   const stateDir = path.join(baseDir, 'state');
+   const sessionSecret = options.sessionSecret || loadSessionSecret(path.join(stateDir, 'session-secret'));
+   const sessionTokenLifetime_s = 4 * 60 * 60;
+
+   // Graceful shutdown (close with restart): everyone gets a server-shutdown notice, and who was in which room is saved
+   // here. On the next start the rooms are held for their hosts, and users who re-connect are put back (see restoreUser).
+   const restartStatePath = path.join(stateDir, 'restart.json');
+   var shuttingDown = false;
+   var closing = null;
+   var restoredRooms = [];
+   var restoredUsers = new Map();    // userName --> {userName, nickName, teamName, room, host, role}, until it re-connects
+
+   // After restarting the server, send info to all remaining connections (but not to the rooms that were restored).
+   var restartNoticeTimer = setTimeout(function() {
+      io.except(restoredRooms).emit("chat message", "The server has started, restarted, or has been awakened. <br><br>" +
+                              "If this is a restart, it's possible that all prior connections will reconnect automatically, or you may only need to press the connect button. <br><br>" +
+                              "If there are problems, clients and hosts should refresh their pages. Hosts should indicate rooms and reconnect. Then clients should reconnect to those rooms.");
+      log.info('info sent to clients: server has restarted', {'event':'startup'});
+   }, settings.restartNotice_s * 1000);
+
+   // Latency and connection quality: every socket on this process is pinged each pingInterval_s. A page answers by
+   // acknowledging 'server-ping'; it then gets 'connection-quality' (its own statistics) after each round, and the
+   // host gets 'client-quality' for each client, with both legs of the client --> server --> host path.
+   var pingTimer = (settings.pingInterval_s > 0) ? setInterval(pingSockets, settings.pingInterval_s * 1000).unref() : null;
+
+   function pingSockets() {
+      let timeout_ms = settings.pingInterval_s * 1000 * 0.8;    // Answers slower than this count as lost.
+      for (let [socket_id, socket] of io.sockets.sockets) {
+         let link = cD.link[socket_id];
+         if (!link) continue;
+         let sent = Date.now();
+         link.sent();
+         socket.timeout(timeout_ms).emit('server-ping', {'time':sent}, function(error) {
+            if (error) {
+               link.lost();
+               return;
+            }
+            let rtt_ms = Date.now() - sent;
+            link.answered(rtt_ms);
+            let roomName = cD.room[socket_id];
+            pingHistogram.observe({'role':(roomName && cD.hostID[roomName] == socket_id) ? 'host' : 'client'}, rtt_ms / 1000);
+         });
+      }
+      // Report on the previous rounds now; this round's answers arrive before the next.
+      sendQualityReports();
+   }
+
+   function sendQualityReports() {
+      for (let socket_id in cD.link) {
+         let summary = cD.link[socket_id].summary();
+         if (!summary) continue;    // Never answered: a page without the listener.
+         io.to(socket_id).emit('connection-quality', Object.assign({'bars':qualityBars(summary)}, summary));
+
+         let roomName = cD.room[socket_id];
+         let hostID = cD.hostID[roomName];
+         if (!hostID || hostID == socket_id) continue;
+         // The host may be on another instance; then only the client's leg is known here.
+         let hostSummary = (cD.link[hostID]) ? cD.link[hostID].summary() : null;
+         io.to(hostID).emit('client-quality', {'clientName':cD.userName[socket_id], 'nickName':cD.nickName[socket_id] || null,
+                                               'clientToServer':summary, 'serverToHost':hostSummary,
+                                               'bars':(hostSummary) ? Math.min(qualityBars(summary), qualityBars(hostSummary)) : qualityBars(summary)});
+      }
+   }
+
+   // Miscellaneous support functions...
+
+   function loadSessionSecret(secretPath) {
+      if (fs.existsSync(secretPath)) return fs.readFileSync(secretPath, 'utf8').trim();
+      let secret = crypto.randomBytes(32).toString('hex');
+      fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+      fs.writeFileSync(secretPath, secret, {'mode':0o600});
+      return secret;
+   }
+
+   function saveRestartState() {
+      // Users on this process's sockets (with a shared store, each process saves its own), and their rooms.
+      let users = [], rooms = {};
+      for (let socket_id in cD.userName) {
+         if (!io.sockets.sockets.has(socket_id)) continue;
+         let roomName = cD.room[socket_id] || null;
+         users.push({'userName':cD.userName[socket_id], 'nickName':cD.nickName[socket_id], 'teamName':cD.teamName[socket_id], 'room':roomName,
+                     'host':(roomName !== null) && (cD.hostID[roomName] == socket_id), 'role':cD.role[socket_id] || null});
+         if (roomName && !rooms[roomName]) {
+            let grace = cD.hostGrace[roomName];
+            rooms[roomName] = {'hostUserName':(grace) ? grace.userName : cD.userName[cD.hostID[roomName]],
+                               'access':cD.roomAccess[roomName], 'info':cD.roomInfo[roomName], 'teams':cD.teams[roomName],
+                               'muted':cD.muted[roomName], 'blocked':cD.blocked[roomName], 'chatHistory':cD.chatHistory[roomName],
+                               'waitlist':cD.waitlist[roomName], 'snapshot':cD.snapshot[roomName], 'inputBatching':cD.inputBatching[roomName]};
+         }
+      }
+      if (users.length == 0) return;
+      let state = {'savedAt':new Date().toISOString(), 'nameIndex':cD.nameIndex, 'users':users, 'rooms':rooms};
+      fs.mkdirSync(stateDir, { recursive: true });
+      fs.writeFileSync(restartStatePath + '.tmp', JSON.stringify(state));
+      fs.renameSync(restartStatePath + '.tmp', restartStatePath);
+      log.info('Saved ' + Object.keys(rooms).length + ' rooms and ' + users.length + ' users for the restart.', {'event':'shutdown'});
+   }
+
+   function loadRestartState() {
+      // Used once, at startup. Older than a resume token, it's of no use.
+      if (!fs.existsSync(restartStatePath)) return;
+      let state = JSON.parse(fs.readFileSync(restartStatePath, 'utf8'));
+      fs.unlinkSync(restartStatePath);
+      if (Date.now() - Date.parse(state.savedAt) > sessionTokenLifetime_s * 1000) {
+         log.info('Ignoring the saved room state from ' + state.savedAt + '.', {'event':'startup'});
+         return;
+      }
+   
+      // Keep new user names clear of the ones that may come back.
+      cD.nameIndex = Math.max(cD.nameIndex, state.nameIndex);
+   
+      for (let roomName in state.rooms) {
+         let room = state.rooms[roomName];
+         let maps = {'roomAccess':room.access, 'roomInfo':room.info, 'teams':room.teams, 'muted':room.muted,
+                     'blocked':room.blocked, 'chatHistory':room.chatHistory, 'waitlist':room.waitlist, 'snapshot':room.snapshot,
+                     'inputBatching':room.inputBatching};
+         for (let mapName in maps) {
+            if (maps[mapName] !== undefined && maps[mapName] !== null) cD[mapName][roomName] = maps[mapName];
+         }
+         // Held for the host, as if it had just dropped (see startHostGrace).
+         cD.hostGrace[roomName] = {'userName':room.hostUserName, 'volunteers':[],
+                                   'timer':setTimeout(function() { endHostGrace(roomName); }, settings.restoreWindow_s * 1000)};
+         restoredRooms.push(roomName);
+      }
+      for (let user of state.users) restoredUsers.set(user.userName, user);
+      setTimeout(() => restoredUsers.clear(), settings.restoreWindow_s * 1000).unref();
+      log.info('Restored ' + restoredRooms.length + ' rooms and ' + restoredUsers.size + ' users from ' + state.savedAt + '.', {'event':'startup'});
+   }
+
+   function restoreUser(socket) {
+      // A user from before the restart is back (re-connect mode, valid token). Put it back in its room.
+      let saved = restoredUsers.get(cD.userName[socket.id]);
+      if (!saved) return;
+      restoredUsers.delete(saved.userName);
+      if (!cD.nickName[socket.id] && saved.nickName) cD.nickName[socket.id] = saved.nickName;
+      if (!cD.teamName[socket.id] && saved.teamName) cD.teamName[socket.id] = saved.teamName;
+   
+      // The room may have closed, or been handed to someone else, in the meantime.
+      let roomName = saved.room;
+      if (!roomName || !(cD.hostGrace[roomName] || cD.hostID[roomName])) return;
+      if (saved.host && cD.hostID[roomName]) return;
+   
+      socket.join(roomName);
+      cD.room[socket.id] = roomName;
+      if (saved.host) {
+         cancelHostGrace(roomName);
+         cD.hostID[roomName] = socket.id;
+         socket.to(roomName).emit('chat message', 'The host of room ' + escapeHTML(roomName) + ' is back.');
+         if (cD.inputBatching[roomName]) io.to(socket.id).emit('input-batching', inputBatchingStatus(roomName));
+         sendChatHistory(socket.id, roomName);
+         sendTeamRoster(roomName);
+         // The host's page starts empty: the roster (as in a migration) has the clients that were restored before it.
+         io.to(roomName).emit('host-migrated', {'roomName':roomName, 'hostName':saved.userName,
+                                                'previousHostName':saved.userName, 'roster':roomRoster(roomName)});
+         fillOpenSlots(roomName);
+      } else {
+         if (saved.role) cD.role[socket.id] = saved.role;
+         // A host that is already back needs a game client for this player.
+         if (cD.hostID[roomName] && (cD.role[socket.id] != 'spectator')) {
+            io.to(cD.hostID[roomName]).emit('new-game-client', {'clientName':saved.userName, 'requestStream':false, 'player':null,
+                                                                'nickName':cD.nickName[socket.id], 'teamName':cD.teamName[socket.id]});
+         }
+         io.to(cD.hostID[roomName]).emit('chat message', displayNameHTML(socket.id, 'prens') + ' is back in room ' + escapeHTML(roomName) + '.');
+      }
+      io.to(socket.id).emit('session-restored', {'roomName':roomName, 'host':saved.host, 'role':cD.role[socket.id] || null,
+                                                 'nickName':cD.nickName[socket.id], 'teamName':cD.teamName[socket.id]});
+      log.info(saved.userName + ' restored to room ' + roomName + ((saved.host) ? ' as host' : '') + '.', socketFields(socket.id, 'session-restored'));
+      lobbyChanged();
+   }
+
+   function close(closeOptions={}) {
+      // Stop everything this instance started. With restart, everyone first gets a server-shutdown notice, and who was in
+      // which room is saved for the next start. The disconnect handlers don't take the rooms apart while closing.
+      if (closing) return closing;
+      shuttingDown = true;
+      if (closeOptions.restart) {
+         let expectedBack = new Date(Date.now() + settings.restartExpected_s * 1000);
+         log.info('Shutting down (' + (closeOptions.reason || 'close') + ').', {'event':'shutdown'});
+         io.emit('server-shutdown', {'reason':closeOptions.reason || null, 'expectedBack':expectedBack.toISOString(), 'expectedBack_s':settings.restartExpected_s,
+                                     'message':'The server is restarting and should be back in about ' + settings.restartExpected_s + ' seconds.'});
+         try {
+            saveRestartState();
+         } catch (error) {
+            log.error('Could not save the room state: ' + error.message, {'event':'shutdown'});
+         }
+      }
+      clearTimeout(restartNoticeTimer);
+      clearInterval(pingTimer);
+      lobby.stop();
+      for (let roomName in cD.hostGrace) clearTimeout(cD.hostGrace[roomName].timer);
+      for (let roomName in cD.recorder) stopRecording(roomName);
+      for (let roomName in cD.batcher) cD.batcher[roomName].batcher.stop();
+      for (let roomName in cD.relay) cD.relay[roomName].stop();
+   
+      // Let the notices go out first.
+      closing = new Promise(resolve => setTimeout(resolve, (closeOptions.restart) ? 500 : 0)).then(function() {
+         return (options.server) ? detachIO() : io.close();
+      }).then(function() {
+         return Promise.all([store.close().catch(() => {})].concat(adapterClients.map(client => client.quit().catch(() => {}))));
+      }).then(function() {
+         if (!options.log) log.closeAllRooms();
+         events.emit('closed');
+      });
+      return closing;
+   }
+
+   function detachIO() {
+      // io.close() would close the caller's server too. Disconnect our sockets and leave the server as we found it.
+      io.local.disconnectSockets(true);
+      io.engine.close();
+      for (let [event, listeners] of ioListeners) {
+         for (let listener of listeners) server.removeListener(event, listener);
+      }
+      for (let listener of callerListeners.get('request')) {
+         if (!server.listeners('request').includes(listener)) server.on('request', listener);
+      }
+   }
+
+   function relayed(event, socketID, data) {
+      // The message-relayed hook: what was relayed, from whom, in which room. Cheap when nobody listens.
+      if (events.listenerCount('message-relayed') == 0) return;
+      emitEvent('message-relayed', {'event':event, 'roomName':cD.room[socketID] || null, 'userName':cD.userName[socketID], 'socketID':socketID, 'data':data});
+   }
+
+   function emitEvent(name, data) {
+      // A failing hook is logged; it must not break the relay that called it.
+      try {
+         events.emit(name, data);
+      } catch (error) {
+         log.error('The ' + name + ' hook failed: ' + error.message, {'room':data.roomName || null, 'event':name});
+      }
+   }
+
+   function socketFields(socketID, event) {
+      // The context for a log line about a socket.
+      return {'socketID':socketID, 'userName':cD.userName[socketID] || null, 'room':cD.room[socketID] || null, 'event':event};
+   }
+
+   function setDefault(theValue, theDefault) {
+      // Return the default if the value is undefined.
+      return (typeof theValue !== "undefined") ? theValue : theDefault;
+   }
+
+   function removeUserFromMaps(clientID) {
+      // Do this first, before removing this user from the maps.
+      // Check to see if this is the host. If so, give the host a chance to come back before dealing with the room.
+      var roomName = cD.room[clientID];
+      var hostID = cD.hostID[roomName];
+      if (hostID == clientID) {
+         delete cD.hostID[roomName];
+         emitEvent('host-left', {'roomName':roomName, 'userName':cD.userName[clientID], 'socketID':clientID});
+         startHostGrace(roomName, cD.userName[clientID], clientID);
+      } else if (roomName) {
+         emitEvent('client-left', {'roomName':roomName, 'userName':cD.userName[clientID], 'socketID':clientID});
+      }
+      leaveWaitlist(clientID, roomName);
+      // Inputs still waiting for the tick would reach the host after client-disconnected.
+      if (cD.batcher[roomName]) cD.batcher[roomName].batcher.forget(cD.userName[clientID]);
+      closeRelayPairs(clientID, 'left');
+      var wasPlayer = (cD.role[clientID] == 'player');
+      var wasOnTeam = (cD.teamName[clientID]) ? true : false;
+
+      // In a similar way, make use of the userName map before removing the user from userName.
+      delete cD.id[cD.userName[clientID]];
+      delete cD.userName[clientID];
+   
+      // Not every user will have a nick name.
+      if (cD.nickName[clientID]) delete cD.nickName[clientID];
+      if (cD.teamName[clientID]) delete cD.teamName[clientID];
+   
+      // The room map was used above. Now it's ok to remove the user from the room map.
+      delete cD.room[clientID];
+      delete cD.role[clientID];
+      delete cD.limiter[clientID];
+      delete cD.link[clientID];
+      delete cD.connectedAt[clientID];
+      delete cD.admin[clientID];
+
+      // A player slot may have opened up for someone on the waiting list.
+      if (wasPlayer) fillOpenSlots(roomName);
+      if (wasOnTeam) sendTeamRoster(roomName);
+      lobbyChanged();
+   }
+
+   function roomRoster(roomName) {
+      // A list of everyone in the room, with the host (if there is one) flagged.
+      let roster = [];
+      for (let socket_id in cD.userName) {
+         if (cD.room[socket_id] == roomName) {
+            roster.push({'userName':cD.userName[socket_id], 'nickName':cD.nickName[socket_id], 'teamName':cD.teamName[socket_id],
+                         'host':(socket_id == cD.hostID[roomName]), 'spectator':(cD.role[socket_id] == 'spectator')});
+         }
+      }
+      return roster;
+   }
+
+   function allRoomNames() {
+      // Rooms with a host, plus rooms waiting on a host to come back.
+      let names = new Set(Object.keys(cD.hostID));
+      for (let socket_id in cD.room) names.add(cD.room[socket_id]);
+      return Array.from(names);
+   }
+
+   function roomSummary(roomName) {
+      let access = cD.roomAccess[roomName] || {};
+      let info = cD.roomInfo[roomName] || {};
+      return {
+         'name': roomName,
+         'gameMode': info.gameMode || null,
+         'maxPlayers': info.maxPlayers || null,
+         'public': info.public || false,
+         'host': cD.userName[cD.hostID[roomName]] || null,
+         'waitingForHost': (cD.hostGrace[roomName]) ? true : false,
+         'memberCount': roomRoster(roomName).length,
+         'playerCount': playerCount(roomName),
+         'spectatorCount': roomRoster(roomName).filter(member => member.spectator).length,
+         'waitlistLength': (cD.waitlist[roomName] || []).length,
+         'locked': access.locked || false,
+         'passwordProtected': (access.passwordHash) ? true : false,
+         'inviteOnly': (access.inviteCode) ? true : false,
+         'recording': (cD.recorder[roomName]) ? true : false,
+         'inputTick_ms': (cD.inputBatching[roomName]) ? cD.inputBatching[roomName].tick_ms : null,
+         'relayPairs': (cD.relayPairs[roomName] || []).filter(pair => pair.state == 'open').length,
+         'relayUsage': (cD.relay[roomName]) ? cD.relay[roomName].usage() : null
+      };
+   }
+
+   function roomMembers(roomName) {
+      // The roster, with the details an operator wants.
+      let members = [];
+      for (let socket_id in cD.userName) {
+         if (cD.room[socket_id] != roomName) continue;
+         let limiter = cD.limiter[socket_id];
+         members.push({
+            'userName': cD.userName[socket_id],
+            'nickName': cD.nickName[socket_id],
+            'teamName': cD.teamName[socket_id],
+            'role': (socket_id == cD.hostID[roomName]) ? 'host' : 'client',
+            'spectator': (cD.role[socket_id] == 'spectator'),
+            'waitlistPosition': waitlistPosition(socket_id, roomName),
+            'socketID': socket_id,
+            'connectedAt': (Number.isFinite(cD.connectedAt[socket_id])) ? new Date(cD.connectedAt[socket_id]).toISOString() : null,
+            'rateLimit': (limiter) ? limiter.counters : null,
+            'link': (cD.link[socket_id]) ? cD.link[socket_id].summary() : null
+         });
+      }
+      return members;
+   }
+
+   function playerCount(roomName) {
+      // Clients playing in the room (not the host, not spectators).
+      let count = 0;
+      for (let socket_id in cD.role) {
+         if ((cD.role[socket_id] == 'player') && (cD.room[socket_id] == roomName) && (socket_id != cD.hostID[roomName])) count++;
+      }
+      return count;
+   }
+
+   function roomIsFull(roomName) {
+      let info = cD.roomInfo[roomName] || {};
+      return (info.maxPlayers) ? (playerCount(roomName) >= info.maxPlayers) : false;
+   }
+
+   function addPlayer(clientID, roomName, requestStream, player) {
+      cD.role[clientID] = 'player';
+      var newGameClient = {'clientName':cD.userName[clientID], 'requestStream':requestStream, 'player':player,
+                           'nickName':cD.nickName[clientID], 'teamName':cD.teamName[clientID]};
+      io.to(cD.hostID[roomName]).emit('new-game-client', newGameClient);
+      record(roomName, 'join', clientID, newGameClient);
+   
+      // Chat message to the host.
+      io.to(cD.hostID[roomName]).emit('chat message', displayNameHTML(clientID, 'prens') + ' is a new client in room ' + escapeHTML(roomName) + '.');
+   }
+
+   function waitlistPosition(clientID, roomName) {
+      let index = (cD.waitlist[roomName] || []).findIndex(entry => (entry.userName == cD.userName[clientID]));
+      return (index < 0) ? null : index + 1;
+   }
+
+   function sendRole(clientID, roomName) {
+      // Tell a client whether it is playing or spectating, and where it is on the waiting list.
+      if (!clientID) return;
+      io.to(clientID).emit('room-role', {'roomName':roomName, 'role':cD.role[clientID], 'waitlistPosition':waitlistPosition(clientID, roomName),
+                                         'waitlistLength':(cD.waitlist[roomName] || []).length});
+   }
+
+   function joinWaitlist(clientID, roomName, requestStream, player) {
+      let list = (cD.waitlist[roomName] || []).filter(entry => (entry.userName != cD.userName[clientID]));
+      list.push({'userName':cD.userName[clientID], 'requestStream':requestStream, 'player':player});
+      cD.waitlist[roomName] = list;
+      lobbyChanged();
+   }
+
+   function leaveWaitlist(clientID, roomName) {
+      let position = waitlistPosition(clientID, roomName);
+      if (!position) return;
+      let list = cD.waitlist[roomName].filter((entry, index) => (index != position - 1));
+      if (list.length > 0) {
+         cD.waitlist[roomName] = list;
+      } else {
+         delete cD.waitlist[roomName];
+      }
+      // Everyone behind moves up one.
+      for (let entry of list.slice(position - 1)) sendRole(cD.id[entry.userName], roomName);
+      lobbyChanged();
+   }
+
+   function fillOpenSlots(roomName) {
+      // Promote spectators from the front of the waiting list while there is room (and a host to play with).
+      if (!cD.hostID[roomName]) return;
+      let changed = false;
+      while (!roomIsFull(roomName) && cD.waitlist[roomName]) {
+         let list = cD.waitlist[roomName];
+         let entry = list[0];
+         if (list.length > 1) {
+            cD.waitlist[roomName] = list.slice(1);
+         } else {
+            delete cD.waitlist[roomName];
+         }
+         changed = true;
+      
+         let clientID = cD.id[entry.userName];
+         if (!clientID || (cD.room[clientID] != roomName)) continue;
+         addPlayer(clientID, roomName, entry.requestStream, entry.player);
+         sendRole(clientID, roomName);
+         io.to(clientID).emit('chat message', 'A place opened up. You are now a player in room ' + escapeHTML(roomName) + '.');
+         log.info(cD.userName[clientID] + ' promoted from the waiting list of room ' + roomName + '.', socketFields(clientID, 'waitlist'));
+      }
+      if (changed) {
+         for (let entry of (cD.waitlist[roomName] || [])) sendRole(cD.id[entry.userName], roomName);
+         lobbyChanged();
+      }
+   }
+
+   function startHostGrace(roomName, hostName, hostSocketID) {
+      // Anyone left in the room (other than the departing host)?
+      let memberCount = 0;
+      for (let socket_id in cD.room) {
+         if ((cD.room[socket_id] == roomName) && (socket_id != hostSocketID)) memberCount++;
+      }
+      if (memberCount == 0) {
+         dropRoomData(roomName, 'empty');
+         return;
+      }
+   
+      cD.hostGrace[roomName] = {'userName':hostName, 'volunteers':[],
+                                'timer':setTimeout(function() { endHostGrace(roomName); }, hostGrace_s * 1000)};
+   
+      // Let the clients know. They can stop sending to the host and, if they like, volunteer to take over.
+      io.to(roomName).emit('host-disconnected', {'roomName':roomName, 'hostName':hostName, 'graceSeconds':hostGrace_s});
+      io.to(roomName).emit('chat message', 'The host of room ' + escapeHTML(roomName) + ' has disconnected. Waiting ' + hostGrace_s + ' seconds for the host to reconnect.');
+      log.info('Host ' + hostName + ' lost from room ' + roomName + '. Waiting ' + hostGrace_s + 's for a re-connect.',
+               {'socketID':hostSocketID, 'userName':hostName, 'room':roomName, 'event':'host-disconnected'});
+   }
+
+   function endHostGrace(roomName) {
+      // The grace window ran out. Hand the room to the first volunteer still in the room, or close it.
+      let grace = cD.hostGrace[roomName];
+      if (!grace) return;
+      delete cD.hostGrace[roomName];
+   
+      let newHostID = grace.volunteers.find(socket_id => (cD.room[socket_id] == roomName));
+      if (newHostID) {
+         let newHostDisplayName = displayNameHTML(newHostID, 'prens');
+         cD.hostID[roomName] = newHostID;
+         // The new host no longer holds (or waits for) a player slot.
+         leaveWaitlist(newHostID, roomName);
+         delete cD.role[newHostID];
+         log.info('Room ' + roomName + ' migrated to host ' + cD.userName[newHostID] + '.', socketFields(newHostID, 'host-migrated'));
+      
+         io.to(newHostID).emit('room-joining-message', {'message':'You are the host of room ' + escapeHTML(roomName) + '.',
+                                                        'userName':cD.userName[newHostID]});
+         // Everyone, including the new host, gets the roster so the game clients can be rebuilt.
+         io.to(roomName).emit('host-migrated', {'roomName':roomName, 'hostName':cD.userName[newHostID],
+                                                'previousHostName':grace.userName, 'roster':roomRoster(roomName)});
+         io.to(roomName).emit('chat message', newHostDisplayName + ' is now the host of room ' + escapeHTML(roomName) + '.');
+         if (cD.inputBatching[roomName]) io.to(newHostID).emit('input-batching', inputBatchingStatus(roomName));
+         fillOpenSlots(roomName);
+         lobbyChanged();
+      } else {
+         closeRoom(roomName, 'host-lost');
+      }
+   }
+
+   function cancelHostGrace(roomName) {
+      let grace = cD.hostGrace[roomName];
+      if (grace) {
+         clearTimeout(grace.timer);
+         delete cD.hostGrace[roomName];
+      }
+   }
+
+   function closeRoom(roomName, reason) {
+      log.info('Closing room ' + roomName + ' (' + reason + ').', {'room':roomName, 'event':'room-closed'});
+      io.to(roomName).emit('room-closed', {'roomName':roomName, 'reason':reason});
+   
+      // Take everyone out of the room, but leave their sockets open so they can join or host another room.
+      for (let socket_id in cD.room) {
+         if (cD.room[socket_id] == roomName) {
+            delete cD.room[socket_id];
+            delete cD.role[socket_id];
+         }
+      }
+      io.in(roomName).socketsLeave(roomName);
+   
+      cancelHostGrace(roomName);
+      delete cD.hostID[roomName];
+      dropRoomData(roomName, reason);
+   }
+
+   function dropRoomData(roomName, reason) {
+      // Forget everything the server has been keeping for this room.
+      delete cD.roomAccess[roomName];
+      delete cD.snapshot[roomName];
+      delete cD.muted[roomName];
+      delete cD.blocked[roomName];
+      delete cD.chatHistory[roomName];
+      delete cD.roomInfo[roomName];
+      delete cD.waitlist[roomName];
+      delete cD.teams[roomName];
+      delete cD.inputBatching[roomName];
+      if (cD.batcher[roomName]) cD.batcher[roomName].batcher.stop();
+      delete cD.batcher[roomName];
+      delete cD.relayPairs[roomName];
+      if (cD.relay[roomName]) cD.relay[roomName].stop();
+      delete cD.relay[roomName];
+      stopRecording(roomName);
+      log.closeRoom(roomName);
+      lobbyChanged();
+      emitEvent('room-closed', {'roomName':roomName, 'reason':reason});
+   }
+
+   function hashPassword(password, salt) {
+      return crypto.createHash('sha256').update(salt + ':' + password).digest('hex');
+   }
+
+   function setRoomInfo(roomName, msg, previous={}) {
+      // Only the fields the host sent are changed.
+      let info = Object.assign({}, previous);
+      if (typeof msg.gameMode !== 'undefined') info.gameMode = (msg.gameMode) ? String(msg.gameMode).slice(0, 100) : null;
+      if (typeof msg.maxPlayers !== 'undefined') info.maxPlayers = (parseInt(msg.maxPlayers) > 0) ? parseInt(msg.maxPlayers) : null;
+      if (typeof msg.public !== 'undefined') info.public = (msg.public) ? true : false;
+      cD.roomInfo[roomName] = info;
+      // A bigger room lets people in from the waiting list. (A smaller one doesn't push anyone out.)
+      if (typeof msg.maxPlayers !== 'undefined') fillOpenSlots(roomName);
+      lobbyChanged();
+   }
+
+   function setRoomAccess(roomName, password, useInviteCode) {
+      let access = {'locked':false, 'salt':null, 'passwordHash':null, 'inviteCode':null};
+      if (password) {
+         access.salt = crypto.randomBytes(8).toString('hex');
+         access.passwordHash = hashPassword(String(password), access.salt);
+      }
+      if (useInviteCode) {
+         // Short enough to read out loud, long enough not to be guessed.
+         access.inviteCode = crypto.randomBytes(4).toString('hex');
+      }
+      cD.roomAccess[roomName] = access;
+      return access;
+   }
+
+   function sameString(a, b) {
+      // Constant-time comparison of two strings.
+      let bufferA = Buffer.from(String(a)), bufferB = Buffer.from(String(b));
+      return (bufferA.length == bufferB.length) && crypto.timingSafeEqual(bufferA, bufferB);
+   }
+
+   function checkRoomAccess(roomName, password, inviteCode) {
+      // Returns null if the join is allowed, otherwise a reason code for the room-joining-message.
+      let access = cD.roomAccess[roomName];
+      if (!access) return null;
+      if (access.locked) return 'room-locked';
+   
+      // Either credential gets you in when the room has both.
+      if (access.inviteCode && inviteCode && sameString(inviteCode, access.inviteCode)) return null;
+      if (access.passwordHash && password && sameString(hashPassword(String(password), access.salt), access.passwordHash)) return null;
+   
+      if (access.inviteCode && inviteCode) return 'bad-invite-code';
+      if (access.passwordHash) return (password) ? 'bad-password' : 'password-required';
+      if (access.inviteCode) return 'invite-code-required';
+      return null;
+   }
+
+   function signToken(payloadString) {
+      return crypto.createHmac('sha256', sessionSecret).update(payloadString).digest('base64url');
+   }
+
+   function issueSessionToken(userName) {
+      // A token is the base64url payload, a dot, and its signature. It names the user and when it expires.
+      let payload = Buffer.from(JSON.stringify({'name':userName, 'exp':Date.now() + sessionTokenLifetime_s * 1000})).toString('base64url');
+      return payload + '.' + signToken(payload);
+   }
+
+   function checkSessionToken(token, userName) {
+      // Returns null if the token is good for this user name, otherwise a reason code.
+      if (typeof token !== 'string' || !token.includes('.')) return 'missing-token';
+      let [payload, signature] = token.split('.');
+      if (!sameString(signature, signToken(payload))) return 'bad-signature';
+   
+      let claims;
+      try {
+         claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      } catch (error) {
+         return 'bad-token';
+      }
+      if (claims.name !== userName) return 'wrong-name';
+      if (Date.now() > claims.exp) return 'expired-token';
+      return null;
+   }
+
+   function setDisplayName(clientID, mode) {
+      var displayNameString, userName;
+   
+      var hostID = cD.hostID[cD.room[clientID]];
+      if (hostID == clientID) {
+         userName = 'host';
+      } else {
+         userName = cD.userName[clientID];
+      }
+   
+      if (cD.nickName[clientID]) {
+         let teamString = (cD.teamName[clientID]) ? "."+cD.teamName[clientID] : "";
+         if (mode == 'comma') {
+            displayNameString = cD.nickName[clientID] + teamString + ', ' + userName;
+         } else if (mode == 'prens') {
+            displayNameString = cD.nickName[clientID] + teamString + ' (' + userName + ')';
+         }
+      } else {
+         displayNameString = userName;
+      }
+      return displayNameString;
+   }
+
+   function displayNameHTML(clientID, mode) {
+      // For chat messages, which the pages show as HTML.
+      return escapeHTML(setDisplayName(clientID, mode));
+   }
+
+   function countValidNames(nameMap) {
+      let count = 0;
+      for (let socket_id in nameMap) {
+         let name = nameMap[socket_id];
+         if (name && name !== "" && name !== null && name !== undefined) {
+            count++;
+         }
+      }
+      return count;
+   }
+
+   function connectionInfo() {
+      let infoStr = 'sockets=' + io.engine.clientsCount + ', connection acts=' + cD.connectionIndex + 
+                     ', names=' + Object.keys(cD.userName).length + ', nick names=' + countValidNames(cD.nickName) + 
+                     ', team names=' + countValidNames(cD.teamName);
+      return infoStr;
+   }
+
+   function nameReport(names, socket_id_target) {
+      let nickNameList = "", nickNameArray = [];
+      let teamNameList = "", teamNameArray = [];
+      let teamMemberCount = 0;
+   
+      // Remove trailing numbers.
+      let nickNameNoNumbers, teamNameNoNumbers;
+      nickNameNoNumbers = names.nickName.replace(/\d+$/, "");
+      if (names.teamName) teamNameNoNumbers = names.teamName.replace(/\d+$/, "");
+   
+      for (let socket_id in cD.userName) {
+         let nickNameRaw = cD.nickName[socket_id];
+         if (nickNameRaw && nickNameRaw.startsWith(nickNameNoNumbers) && (!nickNameArray.includes(nickNameRaw))) {
+            // Use socket_id_target to identify current user (to be bold). Better than using names; server increments similar nicknames.
+            let nickNameFormatted = (socket_id == socket_id_target) ? "<strong>"+ escapeHTML(nickNameRaw) +"</strong>" : escapeHTML(nickNameRaw);
+            nickNameList += nickNameFormatted + ", ";
+            nickNameArray.push(nickNameRaw);
+         }
+      
+         let teamNameRaw = cD.teamName[socket_id];
+         if (names.teamName && (teamNameRaw == names.teamName)) teamMemberCount++;
+         if (teamNameRaw && teamNameRaw.startsWith(teamNameNoNumbers) && (!teamNameArray.includes(teamNameRaw))) {
+            // Use names.teamName to identify current user (socket_id_target would also work).
+            let teamNameFormatted = (teamNameRaw == names.teamName) ? "<strong>"+ escapeHTML(teamNameRaw) +"</strong>" : escapeHTML(teamNameRaw);
+            teamNameList += teamNameFormatted + ", ";
+            teamNameArray.push(teamNameRaw);
+         }
+      }
+      nickNameList = nickNameList.slice(0,-2);
+      teamNameList = teamNameList.slice(0,-2);
+   
+      return {'nickName':nickNameList,'teamName':teamNameList, 'teamMemberCount':teamMemberCount};
+   }
+
+   function linkReport(socket_id) {
+      // e.g. " [23ms ±4, 0% lost]", or nothing before the first ping is answered.
+      let summary = (cD.link[socket_id]) ? cD.link[socket_id].summary() : null;
+      if (!summary) return "";
+      return " [" + Math.round(summary.rtt_ms) + "ms ±" + Math.round(summary.jitter_ms) + ", " + Math.round(summary.lossRate * 100) + "% lost]";
+   }
+
+   function rateLimitReport(socket_id) {
+      // e.g. " {dropped 12: input 10, chat 2}", or nothing for a well-behaved socket.
+      let limiter = cD.limiter[socket_id];
+      if (!limiter || limiter.counters.dropped == 0) return "";
+      let byBudget = Object.entries(limiter.counters.droppedByBudget).map(([budget, n]) => budget + " " + n).join(", ");
+      return " {dropped " + limiter.counters.dropped + ": " + byBudget + "}";
+   }
+
+   function roomReport() {
+      let usersByRoom = connectionInfo();
+   
+      for (let roomInMap in cD.hostID) {
+         usersByRoom += "<br>clients in " + escapeHTML(roomInMap) + " = ";
+         for (let socket_id in cD.userName) {
+            let userName = cD.userName[socket_id];
+            // The report is shown as HTML.
+            let userNickName = (cD.nickName[socket_id]) ? escapeHTML(cD.nickName[socket_id]) : cD.nickName[socket_id];
+            let userTeamName = cD.teamName[socket_id];
+            let teamString = (userTeamName) ? "."+escapeHTML(userTeamName) : "";
+            let spectatorString = (cD.role[socket_id] == 'spectator') ? "[s]" : "";
+            if (cD.room[socket_id] == roomInMap) {
+               // if this name is the host's name
+               if (userName == cD.userName[cD.hostID[roomInMap]]) {
+                  if (userNickName) {
+                     usersByRoom += userName + "(h-" + userNickName + teamString + ")" + linkReport(socket_id) + rateLimitReport(socket_id) + ", ";
+                  } else {
+                     usersByRoom += userName + "(h)" + linkReport(socket_id) + rateLimitReport(socket_id) + ", ";
+                  }
+               } else {
+                  if (userNickName) {
+                     usersByRoom += userName + "(" + userNickName + teamString + ")" + spectatorString + linkReport(socket_id) + rateLimitReport(socket_id) + ", ";
+                  } else {
+                     usersByRoom += userName + spectatorString + linkReport(socket_id) + rateLimitReport(socket_id) + ", ";
+                  }
+               }
+            }
+         }
+         // remove the trailing ", "
+         usersByRoom = usersByRoom.slice(0, -2);
+      }
+
+      return usersByRoom;
+   }
+
+   // Not using this currently.
+   function highestNameNumber() {
+      let maxNumber = 0;
+      if (Object.keys(cD.userName).length > 0) {
+         for (let socket_id in cD.userName) {
+            let userName = cD.userName[socket_id];
+            // remove the leading "u" in the name
+            let numberInName = userName.slice(1);
+            maxNumber = Math.max(numberInName, maxNumber);
+         }
+      }
+      return maxNumber;
+   }
+
+   function nameInUse(nameToCheck, nameMap) {
+      for (let socket_id in nameMap) {
+         if (nameMap[socket_id] == nameToCheck) {
+            return true;
+         }
+      }
+      return false;
+   }
+
+   function disconnectClientsInOneRoom(roomName) {
+      for (let socket_id in cD.userName) {
+         // Apply to users in the room, but not the room host.
+         if (cD.room[socket_id] == roomName) {
+            if (socket_id != cD.hostID[roomName]) {
+               io.to(socket_id).emit('disconnectByServer', {'name':cD.userName[socket_id], 'originator':'host'});
+            }
+         }
+      }
+   }
+
+   // Used by the admin-only /dac chat command.
+   function disconnectClientsInAllRooms() {
+      for (let roomInMap in cD.hostID) {
+         disconnectClientsInOneRoom(roomInMap);
+      }
+   }
+
+   function kickUser(clientID, originator) {
+      // Ask the client to go (it answers with okDisconnectMe), then make sure it does.
+      io.to(clientID).emit('disconnectByServer', {'name':cD.userName[clientID], 'originator':originator});
+      setTimeout(function() {
+         let socket = io.sockets.sockets.get(clientID);
+         if (socket) socket.disconnect(true);
+      }, 5000).unref();
+   }
+
+   function findUser(name, roomName) {
+      // By user name or nick name; limited to one room unless roomName is null.
+      for (let socket_id in cD.userName) {
+         if (roomName && (cD.room[socket_id] != roomName)) continue;
+         if ((cD.userName[socket_id] == name) || (cD.nickName[socket_id] == name)) return socket_id;
+      }
+      return null;
+   }
+
+   function setRoomLock(roomName, locked) {
+      cD.roomAccess[roomName] = Object.assign({}, cD.roomAccess[roomName], {'locked':locked});
+      lobbyChanged();
+      log.info('Room ' + roomName + ' ' + ((locked) ? 'locked' : 'unlocked') + '.', {'room':roomName, 'event':'room-lock'});
+   }
+
+   function setMuted(roomName, userName, muted) {
+      let list = (cD.muted[roomName] || []).filter(name => name != userName);
+      if (muted) list.push(userName);
+      cD.muted[roomName] = list;
+   }
+
+   function logModeration(roomName, action, byID, target, detail) {
+      let entry = {'time':new Date().toISOString(), 'room':roomName || null, 'action':action,
+                   'by':(byID) ? cD.userName[byID] : 'server', 'target':target, 'detail':setDefault(detail, null)};
+      log.info('Moderation: ' + entry.by + ' ' + action + ' ' + target + ((entry.room) ? ' in ' + entry.room : '') + '.',
+               {'socketID':byID || null, 'userName':entry.by, 'room':entry.room, 'event':'moderation'});
+      fs.mkdirSync(path.dirname(moderationLogPath), { recursive: true });
+      fs.appendFile(moderationLogPath, JSON.stringify(entry) + '\n', function(error) {
+         if (error) log.error('Could not write the moderation log: ' + error.message, {'room':entry.room, 'event':'moderation'});
+      });
+   }
+
+   function cleanChat(clientID, text) {
+      // Run the word filter, then sanitize (allow-listed markup only). Log anything that was changed.
+      // The filter sees the text as typed: after escaping, a listed word could match inside an entity (&amp;).
+      text = String(setDefault(text, ''));
+      let filtered = wordFilter(text);
+      let sanitized = sanitizeHTML(filtered);
+      if (filtered != text) logModeration(cD.room[clientID], 'filter', null, cD.userName[clientID], text);
+      if (sanitized != filtered) logModeration(cD.room[clientID], 'sanitize', null, cD.userName[clientID], text);
+      return sanitized;
+   }
+
+   function addToChatHistory(clientID, text) {
+      let roomName = cD.room[clientID];
+      if (!roomName) return;
+      let history = (cD.chatHistory[roomName] || []).concat({'time':new Date().toISOString(), 'userName':cD.userName[clientID],
+                                                             'from':displayNameHTML(clientID, 'comma'), 'text':text});
+      cD.chatHistory[roomName] = history.slice(-chatHistoryLength);
+   }
+
+   function sendChatHistory(clientID, roomName) {
+      io.to(clientID).emit('chat history', {'roomName':roomName, 'messages':cD.chatHistory[roomName] || []});
+   }
+
+   function isMuted(clientID) {
+      return (cD.muted[cD.room[clientID]] || []).includes(cD.userName[clientID]);
+   }
+
+   function isBlocked(roomName, clientID) {
+      // A nick name that was in use at connect time gets the user number appended (see the connection handler).
+      let nickName = (cD.nickName[clientID] || '').toLowerCase();
+      let userNumber = String(cD.userName[clientID]).slice(1);
+      return (cD.blocked[roomName] || []).some(entry => (entry.userName == cD.userName[clientID]) ||
+         (nickName && entry.nickName && [entry.nickName.toLowerCase(), entry.nickName.toLowerCase() + userNumber].includes(nickName)));
+   }
+
+   function setBlocked(roomName, clientID, blocked) {
+      let list = (cD.blocked[roomName] || []).filter(entry => (entry.userName != cD.userName[clientID]));
+      if (blocked) list.push({'userName':cD.userName[clientID], 'nickName':cD.nickName[clientID]});
+      cD.blocked[roomName] = list;
+   }
+
+   function announceNameChange(clientID) {
+      // The host's game client keeps the nick and team names it got in new-game-client.
+      io.to(cD.hostID[cD.room[clientID]]).emit('client-name-change',
+         {'clientName':cD.userName[clientID], 'nickName':cD.nickName[clientID], 'teamName':cD.teamName[clientID]});
+   }
+
+   // Chat commands. Anything in the chat starting with "/" is run here instead of being relayed (see lib/chat-commands.js).
+   // Project-specific commands go in the commands/ directory: each file exports function(chatCommands, server).
+   const chatCommands = createCommandRegistry({'log':log});
+
+   function commandContext(socket) {
+      let roomName = cD.room[socket.id];
+      let roles = ['client'];
+      if (roomName && (socket.id == cD.hostID[roomName])) roles.push('host');
+      if (cD.admin[socket.id]) roles.push('admin');
+      return {
+         'socket': socket,
+         'socketID': socket.id,
+         'userName': cD.userName[socket.id],
+         'roomName': roomName,
+         'roles': roles,
+         'reply': message => io.to(socket.id).emit('chat message', message)
+      };
+   }
+
+   registerBuiltinCommands(chatCommands, core);
+
+   const commandsDir = path.join(baseDir, 'commands');
+   if (fs.existsSync(commandsDir)) {
+      for (let fileName of fs.readdirSync(commandsDir).filter(name => name.endsWith('.js')).sort()) {
+         require(path.join(commandsDir, fileName))(chatCommands, {'io':io, 'cD':cD, 'roomRoster':roomRoster, 'setDisplayName':setDisplayName,
+                                                                  'findUser':findUser, 'kickUser':kickUser});
+         log.info('Loaded chat commands from commands/' + fileName, {'event':'startup'});
+      }
+   }
+
+   // Socket.io connection handler
+   io.on('connection', function(socket) {
+      // Showing the usage of the auth object if it is sent in the connection attempt from the client.
+      log.info("Connection starting: mode=" + socket.handshake.auth['mode'] + 
+               ", currentName=" + socket.handshake.auth['currentName'] + 
+               ", nickName=" + socket.handshake.auth['nickName'] + 
+               ", teamName=" + socket.handshake.auth['teamName'], {'socketID':socket.id, 'event':'connection'});
+   
+      cD.connectionIndex += 1;
+   
+      // Normal initial connection
+      // Note that the host is always in normal mode.
+      if (socket.handshake.auth['mode'] == 'normal') {
+         // Increment until find a name that's not in use.
+         do {
+            cD.nameIndex += 1;
+            var user_name = 'u' + cD.nameIndex;
+         } while (nameInUse(user_name, cD.userName));
+      
+      } else if (socket.handshake.auth['mode'] == 're-connect') {
+         // If re-connecting, re-use the current user name that comes in via the auth object.
+         // Re-connection happens only when the client is starting a stream or when the P2P connection makes a second attempt.
+         // The name is only honored with the resume token that was issued for it (see 'your name is').
+         var user_name = socket.handshake.auth['currentName'];
+         let tokenProblem = checkSessionToken(socket.handshake.auth['token'], user_name);
+         if (tokenProblem) {
+            log.warn('Re-connect refused for ' + user_name + ' (' + tokenProblem + ').', {'socketID':socket.id, 'userName':user_name, 'event':'connection'});
+            socket.emit('session-rejected', {'name':user_name, 'reason':tokenProblem,
+                                             'message':'Could not resume as ' + user_name + '. Please connect again as a new user.'});
+            socket.disconnect(true);
+            reconnectCounter.inc({'result':'rejected'});
+            return;
+         }
+         reconnectCounter.inc({'result':'accepted'});
+      }
+      var nick_name = setDefault(socket.handshake.auth['nickName'], null);
+      if (nick_name) nick_name = String(nick_name).slice(0, maxNameLength);
+       // Differentiate nicknames in use by multiple clients by appending the user number (slice off the u).
+      if (nick_name && nameInUse(nick_name, cD.nickName)) nick_name += user_name.slice(1);
+      var team_name = setDefault(socket.handshake.auth['teamName'], null);
+      if (team_name) team_name = String(team_name).slice(0, maxNameLength);
+   
+      // Two maps
+      cD.userName[socket.id] = user_name;
+      cD.nickName[socket.id] = nick_name;
+      cD.teamName[socket.id] = team_name;
+      cD.id[user_name] = socket.id;
+      cD.connectedAt[socket.id] = Date.now();
+   
+      log.info('New client: ' + cD.userName[socket.id] + ' (' + connectionInfo() + ').', socketFields(socket.id, 'connection'));
+   
+      // Back from before a server restart?
+      if (socket.handshake.auth['mode'] == 're-connect') restoreUser(socket);
+   
+      // Tell the new user their network name, and give them a token for re-connecting under that name.
+      // Note there is no listener for this on the host (hosts get the token in room-joining-message).
+      if (socket.id != cD.hostID[cD.room[socket.id]]) {
+         io.to(socket.id).emit('your name is', {'name':cD.userName[socket.id], 'token':issueSessionToken(cD.userName[socket.id])});
+      }
+   
+      // Now set up the various listeners. I know this seems a little odd, but these listeners
+      // need to be defined each time this connection event fires, i.e. for each socket.
+   
+      // Flood protection: every inbound event passes through this socket's rate limiter first. Over-budget events
+      // are dropped (not relayed). The first drops bring a warning; a socket that keeps flooding is disconnected.
+      // Then the payload is checked against the event's schema (lib/schemas.js); a bad one is dropped with an 'error' reply.
+      cD.limiter[socket.id] = createRateLimiter(rateLimits, rateLimitEventBudget);
+      cD.link[socket.id] = createLinkStats();
+      var lastWarning_ms = 0, dropWindowStart_ms = Date.now(), dropsInWindow = 0;
+      socket.use(function(packet, next) {
+         let limiter = cD.limiter[socket.id];
+         if (!limiter || limiter.allow(packet[0])) {
+            let problem = validate(packet[0], packet[1]);
+            if (problem) {
+               // Counted, but logged at debug only so that a broken page can't fill the log.
+               invalidCounter.inc({'event':packet[0]});
+               log.debug('Invalid ' + packet[0] + ': ' + problem.message, Object.assign(socketFields(socket.id, packet[0]), {'field':problem.field, 'reason':problem.reason}));
+               socket.emit('error', {'event':packet[0], 'field':problem.field, 'reason':problem.reason, 'message':problem.message});
+               return;
+            }
+            // Events the server doesn't know share one label, so a client can't add series to /metrics.
+            let known = Object.hasOwn(schemas, packet[0]) || Object.hasOwn(rateLimitEventBudget, packet[0]);
+            let labels = {'event':(known) ? packet[0] : 'other'};
+            let bytes = Buffer.byteLength(JSON.stringify(packet.slice(1)) || '');
+            messageCounter.inc(labels);
+            messageBytesCounter.inc(labels, bytes);
+            let start = process.hrtime.bigint();
+            next();
+            // Socket.io runs the handler on the next tick; this tick is queued right behind it.
+            process.nextTick(function() {
+               let duration_s = Number(process.hrtime.bigint() - start) / 1e9;
+               relayHistogram.observe(labels, duration_s);
+               // Sizes and timing only, never the payload.
+               if (log.enabled('debug')) {
+                  log.debug('Handled ' + packet[0] + '.', Object.assign(socketFields(socket.id, packet[0]), {'bytes':bytes, 'ms':(duration_s * 1000).toFixed(3)}));
+               }
+            });
+            return;
+         }
+         droppedCounter.inc({'budget':limiter.budgetFor(packet[0])});
+      
+         let now = Date.now();
+         if (now - dropWindowStart_ms > 60 * 1000) {
+            dropWindowStart_ms = now;
+            dropsInWindow = 0;
+         }
+         dropsInWindow++;
+      
+         if (dropsInWindow > rateLimitDisconnectDrops) {
+            log.warn('Rate limit: disconnecting ' + cD.userName[socket.id] + ' for flooding.', socketFields(socket.id, packet[0]));
+            io.to(socket.id).emit('disconnectByServer', {'name':cD.userName[socket.id], 'originator':'server', 'reason':'flooding'});
+            socket.disconnect(true);
+         
+         } else if (now - lastWarning_ms > rateLimitWarning_s * 1000) {
+            lastWarning_ms = now;
+            limiter.counters.warnings++;
+            log.warn('Rate limit: dropping ' + packet[0] + ' from ' + cD.userName[socket.id] + '.', socketFields(socket.id, packet[0]));
+            socket.emit('rate-limit-warning', {'event':packet[0], 'budget':limiter.budgetFor(packet[0])});
+            socket.emit('chat message', 'You are sending too fast; some messages were dropped. Keep it up and you will be disconnected.');
+         }
+      });
+   
+      // Echo test...
+      socket.on('echo-from-Client-to-Server', function(msg) {
+         if (msg == 'server') {
+            // This bounces off the SERVER and goes right back to the client.
+            io.to(socket.id).emit('echo-from-Server-to-Client', 'server');
+         
+         } else if (msg == 'host') {
+            // Send this first to the host (the scenic route). Include the id of the client so that we know where to send it
+            // when it bounces off the host.
+            io.to(cD.hostID[cD.room[socket.id]]).emit('echo-from-Server-to-Host', socket.id);
+         }
+      
+      });
+      socket.on('echo-from-Host-to-Server', function(msg) {
+         var socket_id = msg;
+         // Now that this has come back from the HOST, complete the trip and send this to the originating client.
+         io.to(socket_id).emit('echo-from-Server-to-Client', 'host');
+      });
+   
+      /*
+      This timer protects my Heroku account from idle clients: an abandoned browser tab that has a socket open.
+      The timer starts when the socket is opened, resets in "chat message". The host will not close until
+      all the non-host clients have closed; the host's timer is recursively extended until it is the only
+      client left.
+      */
+      var logoffTimer;
+      var warningTimer;
+      var idleTime_m = 0;
+      function setTimer(reset, t_min=settings.idleTimeout_m) {
+         if (reset == "initialize") {
+            idleTime_m = t_min;
+         } else if (reset == "restart") { 
+            clearTimeout(warningTimer);
+            clearTimeout(logoffTimer);
+            idleTime_m = t_min;
+         } else if (reset == "extend") {
+            clearTimeout(warningTimer);
+            clearTimeout(logoffTimer);
+         }
+      
+         if (reset != "extend") {
+            warningTimer = setTimeout(() => {
+               let warningMessage = 'Idle socket will disconnect in ' + (t_min/2.0).toFixed(1) + ' minutes.' +
+                                    '</br></br>Click <strong>Chat</strong> to reset the disconnect timer to ' + t_min.toFixed(1) + ' minutes.';
+               socket.emit('chat message', warningMessage);
+            }, (t_min/2.0) * 60 * 1000);
+         }
+
+         logoffTimer = setTimeout(() => {
+            let disconnectNotice = 'Idle for ' + idleTime_m.toFixed(1) + ' minutes. Network socket disconnected.';
+            let advice = '</br></br>Click <strong>Chat</strong> before disconnection for ' + settings.idleTimeout_m + ' minutes of network time.' +
+                         '</br></br>To <strong>reconnect:</strong> hosts click <strong>Create</strong>, clients click <strong>Connect</strong>.'
+         
+            // Host
+            if (socket.id == cD.hostID[cD.room[socket.id]]) {
+               // don't disconnect the host if there are any non-host users
+               let n_users = Object.keys(cD.userName).length;
+               // don't let the extensions go on forever
+               if ((n_users == 1) || (idleTime_m >= settings.hostIdleCap_m)) {
+                  socket.emit('chat message', disconnectNotice + advice);
+                  log.info(disconnectNotice, socketFields(socket.id, 'idle-timeout'));
+                  idleDisconnectCounter.inc({'role':'host'});
+                  removeUserFromMaps(socket.id);
+                  socket.disconnect();
+               } else {
+                  let extraTime_m = settings.hostExtension_m;
+                  idleTime_m += extraTime_m;
+                  log.info("Time for host socket extended (" + (n_users-1) + "," + idleTime_m.toFixed(2) + ")", socketFields(socket.id, 'idle-timeout'));
+                  setTimer("extend", extraTime_m);
+               }
+            // non-Host client
+            } else {
+               socket.emit('chat message', disconnectNotice);
+               log.info(disconnectNotice, socketFields(socket.id, 'idle-timeout'));
+               idleDisconnectCounter.inc({'role':'client'});
+               let pars = {'name':cD.userName[socket.id], 'originator':'server'};
+               io.to(socket.id).emit('disconnectByServer', pars);
+            }
+         
+         }, t_min * 60 * 1000);
+      }
+      setTimer("initialize");
+
+      // Broadcast the incoming chat message to everyone in the sender's room. Allow some special text strings
+      // to trigger actions on the server.
+      socket.on('chat message', function(msg) {
+         setTimer("restart");
+         // The original bare commands still work.
+         if ((msg == "dcir") || (msg == "rr")) msg = "/" + msg;
+         if (chatCommands.handle(msg, commandContext(socket))) return;
+      
+         if (isMuted(socket.id)) {
+            io.to(socket.id).emit('chat message', 'You are muted in this room.');
+            return;
+         }
+         // General emit to the room. Note: io.to and io.in do the same thing.
+         let text = cleanChat(socket.id, msg);
+         io.to(cD.room[socket.id]).emit('chat message', text + " (" + displayNameHTML(socket.id, 'comma') + ")");
+         addToChatHistory(socket.id, text);
+         relayed('chat message', socket.id, text);
+      });
+   
+      // Broadcast the incoming chat message to everyone in the sender's room, except the sender.
+      socket.on('chat message but not me', function(msg) {
+         if (isMuted(socket.id)) return;
+         // Emit to everyone in the sender's room except the sender.
+         let text = cleanChat(socket.id, msg);
+         socket.to(cD.room[socket.id]).emit('chat message', text + " (" + displayNameHTML(socket.id, 'comma') + ")");
+         addToChatHistory(socket.id, text);
+         relayed('chat message but not me', socket.id, text);
+      });
+   
+   
+      // Signaling in support of WebRTC.
+      socket.on('signaling message', function(msg) {      
+         if (msg.to == 'host') {
+            var target = cD.hostID[cD.room[socket.id]];
+         } else {
+            var target = cD.id[msg.to];
+         }
+      
+         // Relay the message (emit) to the target user.
+         io.to(target).emit('signaling message', msg);
+         relayed('signaling message', socket.id, msg);
+      });
+   
+      // Fresh ICE servers (and TURN credentials for this user name), to be fetched before each peer-to-peer attempt.
+      socket.on('ice-config', function() {
+         let result = iceConfig(settings, cD.userName[socket.id]);
+         if (result.turn) turnCredentialCounter.inc({'via':'socket'});
+         io.to(socket.id).emit('ice-config', result);
+      });
+   
+      relay.attach(socket);
+
+      // General control message (note: same structure as the above handler for signaling messages)
+      socket.on('control message', function(msg) {      
+         // If a targeted chat message, clean it up and add string that identifies the sender. Muted users can't send these.
+         if (msg.data.displayThis) {
+            if (isMuted(socket.id)) return;
+            msg.data.displayThis = cleanChat(socket.id, msg.data.displayThis) + " (" + displayNameHTML(socket.id, 'comma') + ")";
+         }
+         record(cD.room[socket.id], 'control message', socket.id, msg);
+      
+         // to the host only
+         if (msg.to == 'host') {
+            var target = cD.hostID[cD.room[socket.id]];
+         // to everyone in the room   
+         } else if (msg.to == 'room') {
+            var target = cD.room[socket.id];
+         // to everyone on the sender's team (in the room)
+         } else if (msg.to == 'team') {
+            if (!cD.teamName[socket.id]) return;
+            var target = teamMembers(cD.room[socket.id], cD.teamName[socket.id]);
+         // to everyone in the room except the sender   
+         } else if (msg.to == 'roomNoSender') {
+            var target = cD.room[socket.id];
+            socket.to(target).emit('control message', msg);
+            relayed('control message', socket.id, msg);
+            return;
+         // to this particular user
+         } else {
+            // Check whether specified as nick name.
+            let nickName_id = null;
+            for (let socket_id in cD.userName) {
+               if (cD.nickName[socket_id] && (cD.nickName[socket_id] == msg.to)) nickName_id = socket_id;
+            }
+            var target = (nickName_id) ? nickName_id : cD.id[msg.to];
+         }
+      
+         // Relay the message (emit) to the target user(s).
+         io.to(target).emit('control message', msg);
+         relayed('control message', socket.id, msg);
+      });
+   
+      socket.on('name report', function(names) {
+         // Generate report then send it back to the user.
+         io.to(socket.id).emit('name report', nameReport(names, socket.id));
+      });
+   
+      // Send mouse and keyboard states to the host.
+      socket.on('client-mK-event', function(msg) {
+         // Determine the id of the room-host for this client. Then send data to the host for that room.
+         // socket.id --> room --> room host.
+         var hostID = cD.hostID[cD.room[socket.id]];
+         // Spectators watch; their input goes nowhere.
+         if (cD.role[socket.id] == 'spectator') return;
+         record(cD.room[socket.id], 'client-mK-event', socket.id, msg);
+      
+         if (cD.inputBatching[cD.room[socket.id]]) {
+            // Batched: the host gets this in the next client-mK-StH-batch.
+            inputBatcher(cD.room[socket.id]).add(cD.userName[socket.id], msg);
+         } else {
+            // StH: Server to Host
+            io.to(hostID).emit('client-mK-StH-event', msg);
+         }
+         relayed('client-mK-event', socket.id, msg);
+      });
+   
+      // After connecting, the 'connect' listener, on client or host, sends a message to 'roomJoin' listener on the server.
+      socket.on('roomJoin', function(msg) {
+         var roomName = setDefault(msg.roomName, null);
+         var requestStream = setDefault(msg.requestStream, false);
+         var player = setDefault(msg.player, null);
+         var hostOrClient = setDefault(msg.hostOrClient, 'client');
+         var password = setDefault(msg.password, null);
+         var inviteCode = setDefault(msg.inviteCode, null);
+         var useInviteCode = setDefault(msg.useInviteCode, false);
+         // Clients can ask to watch. Those who want to play in a full room wait as spectators, unless waitlist is false.
+         var spectator = setDefault(msg.spectator, false);
+         var waitlist = setDefault(msg.waitlist, true);
+      
+         if ((typeof roomName === 'string') && roomName.startsWith('#')) {
+            io.to(socket.id).emit('room-joining-message', {'message':'Sorry, room names cannot start with #.',
+                                                           'userName':cD.userName[socket.id], 'reason':'bad-room-name'});
+            return;
+         }
+      
+         var nickName = cD.nickName[socket.id];
+         var teamName = cD.teamName[socket.id];
+         var displayName = setDisplayName(socket.id, 'prens');
+      
+         if (hostOrClient == 'client') {
+            // Check to make sure the room has a host, and that this client is allowed in.
+            var accessProblem = (cD.hostID[roomName]) ? checkRoomAccess(roomName, password, inviteCode) : null;
+            if (cD.hostID[roomName] && isBlocked(roomName, socket.id)) accessProblem = 'blocked';
+            if (accessProblem) {
+               let reasons = {'blocked':'is not open to you', 'room-locked':'is locked', 'bad-password':'needs a different password', 'password-required':'needs a password',
+                              'bad-invite-code':'needs a different invite code', 'invite-code-required':'needs an invite code'};
+               io.to(socket.id).emit('room-joining-message', {'message':'Sorry, room ' + escapeHTML(roomName) + ' ' + reasons[accessProblem] + '.',
+                                                              'userName':cD.userName[socket.id], 'reason':accessProblem});
+               log.info('Room ' + roomName + ' refused ' + cD.userName[socket.id] + ' (' + accessProblem + ').', Object.assign(socketFields(socket.id, 'roomJoin'), {'room':roomName}));
+            
+            } else if (cD.hostID[roomName] && !spectator && !waitlist && roomIsFull(roomName)) {
+               io.to(socket.id).emit('room-joining-message', {'message':'Sorry, room ' + escapeHTML(roomName) + ' is full.',
+                                                              'userName':cD.userName[socket.id], 'reason':'room-full'});
+            
+            } else if (cD.hostID[roomName]) {
+               // Players take a free slot, unless others are already waiting for one.
+               var seat = (spectator) ? 'spectator' : ((roomIsFull(roomName) || cD.waitlist[roomName]) ? 'waitlist' : 'player');
+               socket.join(roomName);
+               cD.room[socket.id] = roomName;
+               log.info('Room ' + roomName + ' joined by ' + cD.userName[socket.id] + ((seat == 'player') ? '' : ' (' + seat + ')') + '.', socketFields(socket.id, 'roomJoin'));
+            
+               // Send message to the individual client that is joining the room.
+               var asWhat = {'player':'', 'spectator':' as a spectator', 'waitlist':' as a spectator (the room is full, so you are on the waiting list)'}[seat];
+               io.to(socket.id).emit('room-joining-message', {'message':'You have joined room ' + escapeHTML(cD.room[socket.id]) + asWhat + ' and your client name is '+ escapeHTML(displayName) +'.', 
+                                                              'userName':cD.userName[socket.id]});
+            
+               socket.leave(lobbyRoom);
+               lobbyChanged();
+            
+               // Catch the newcomer up on the room's chat.
+               sendChatHistory(socket.id, roomName);
+            
+               // Bring the newcomer up to date with the latest world state the host has shared.
+               var snapshot = cD.snapshot[roomName];
+               if (snapshot) {
+                  io.to(socket.id).emit('room-snapshot', {'roomName':roomName, 'version':snapshot.version, 'state':snapshot.state, 'time':snapshot.time});
+               }
+            
+               // Message to the room host.
+               // Give the host the name of the new network user so it can create a new game client. 
+               // This is where "player", "nickName", and "teamName" info gets sent to the host.
+               // Notice this emit to new-game-client is not done in the host block below.
+               // Generally, the host sets its own identity directly, then listens (room-joining-message) 
+               // to the server for any incrementation of its intended nickname.
+               // In a room with server-managed teams, the team name from the handshake has to be one of them (and have space).
+               var teamProblemCode = teamProblem(socket.id, roomName, setDefault(teamName, null));
+               if (teamProblemCode) {
+                  cD.teamName[socket.id] = null;
+                  sendTeamChange(socket.id, 'You are not on a team: ' + ((teamProblemCode == 'team-full') ? 'team ' + escapeHTML(teamName) + ' is full.' : 'room ' + escapeHTML(roomName) + ' has no team ' + escapeHTML(teamName) + '.'), teamProblemCode);
+               } else if (findTeam(roomName, teamName)) {
+                  cD.teamName[socket.id] = findTeam(roomName, teamName).name;
+               }
+            
+               // Spectators don't get a game client; waiting spectators get one when promoted (see fillOpenSlots).
+               if (seat == 'player') {
+                  addPlayer(socket.id, roomName, requestStream, player);
+               } else {
+                  cD.role[socket.id] = 'spectator';
+                  if (seat == 'waitlist') joinWaitlist(socket.id, roomName, requestStream, player);
+                  io.to(cD.hostID[roomName]).emit('chat message', escapeHTML(displayName) + ((seat == 'waitlist') ? ' is waiting for a place' : ' is spectating') + ' in room ' + escapeHTML(roomName) + '.');
+               }
+               sendRole(socket.id, roomName);
+               sendTeamRoster(roomName);
+               emitEvent('client-joined', {'roomName':roomName, 'userName':cD.userName[socket.id], 'nickName':cD.nickName[socket.id],
+                                           'teamName':cD.teamName[socket.id], 'socketID':socket.id, 'seat':seat});
+            
+            } else if (cD.hostGrace[roomName]) {
+               io.to(socket.id).emit('room-joining-message', {'message':'Sorry, the host for room ' + escapeHTML(roomName) + ' is reconnecting. Try again shortly.',
+                                                              'userName':cD.userName[socket.id], 'reason':'host-reconnecting'});
+            } else {
+               io.to(socket.id).emit('room-joining-message', {'message':'Sorry, there is no host yet for room ' + escapeHTML(roomName) + '.',
+                                                              'userName':cD.userName[socket.id], 'reason':'no-host'});
+            }
+      
+         } else if (hostOrClient == 'host') {
+            // Should check if the room already has a host.
+            // (A host restored after a server restart may ask again; that's fine.)
+            if (cD.hostID[roomName] && (cD.hostID[roomName] != socket.id)) {
+               // Send warning to the client that is attempting to host.
+               io.to(socket.id).emit('room-joining-message', {'message':'Sorry, there is already a host for room ' + escapeHTML(roomName) + '.',
+                                                              'userName':cD.userName[socket.id], 'reason':'host-exists'});
+            
+            } else if (cD.hostGrace[roomName] && (cD.hostGrace[roomName].userName != cD.userName[socket.id])) {
+               // The room is being held for its original host.
+               io.to(socket.id).emit('room-joining-message', {'message':'Sorry, room ' + escapeHTML(roomName) + ' is waiting for its host to reconnect.',
+                                                              'userName':cD.userName[socket.id], 'reason':'host-reconnecting'});
+            
+            } else {
+               // A host coming back (re-connect mode) within the grace window picks up where it left off.
+               var returningHost = (cD.hostGrace[roomName] || cD.hostID[roomName]) ? true : false;
+               cancelHostGrace(roomName);
+            
+               // A returning host keeps the room's password, invite code, and lock.
+               if (!returningHost) setRoomAccess(roomName, password, useInviteCode);
+               // Lobby details (gameMode, maxPlayers, public); a returning host keeps what it had unless it sends new ones.
+               setRoomInfo(roomName, msg, (returningHost) ? cD.roomInfo[roomName] : {});
+               socket.leave(lobbyRoom);
+               var access = cD.roomAccess[roomName];
+            
+               socket.join(roomName);
+               cD.room[socket.id] = roomName;
+               log.info('Room ' + roomName + ' joined by ' + cD.userName[socket.id] + '.', socketFields(socket.id, 'roomJoin'));
+            
+               // General you-have-joined-the-room message. This is where the host gets its incremented nickname.
+               io.to(socket.id).emit('room-joining-message', {'message':'You have joined room ' + escapeHTML(cD.room[socket.id]) + ' and your client name is ' + escapeHTML(displayName) + '.',
+                                                              'userName':cD.userName[socket.id], 'nickName':nickName,
+                                                              'token':issueSessionToken(cD.userName[socket.id])});
+            
+               // Set this user as the host for this room.
+               cD.hostID[cD.room[socket.id]] = socket.id;
+               log.info('User '+ displayName +' identified as host for room '+ cD.room[socket.id] + '.', socketFields(socket.id, 'roomJoin'));
+            
+               // And oh-by-the-way "you are the host" message. Clients will need the invite code (if any) to get in.
+               io.to(socket.id).emit('room-joining-message', {'message':'You are the host of room ' + escapeHTML(cD.room[socket.id]) + '.',
+                                                              'userName':cD.userName[socket.id], 'inviteCode':access.inviteCode,
+                                                              'passwordProtected':(access.passwordHash) ? true : false});
+            
+               // A new host can define the teams right away (or later with team-setup).
+               if (!returningHost && msg.teams) setTeams(roomName, msg.teams);
+               if (!returningHost) emitEvent('room-created', {'roomName':roomName, 'userName':cD.userName[socket.id], 'socketID':socket.id});
+            
+               if (returningHost) {
+                  sendChatHistory(socket.id, roomName);
+                  sendTeamRoster(roomName);
+                  io.to(roomName).emit('host-migrated', {'roomName':roomName, 'hostName':cD.userName[socket.id],
+                                                         'previousHostName':cD.userName[socket.id], 'roster':roomRoster(roomName)});
+                  socket.to(roomName).emit('chat message', 'The host of room ' + escapeHTML(roomName) + ' has reconnected.');
+                  if (cD.inputBatching[roomName]) io.to(socket.id).emit('input-batching', inputBatchingStatus(roomName));
+                  // Players may have left while the host was away.
+                  fillOpenSlots(roomName);
+               }
+            }
+         }
+      });
+   
+      // This "disconnect" event is fired by the server when a socket is disconnected. 
+      // (can be triggered by socket.disconnect() in this file or hostAndClient.js, or when a client reloads their page).
+      socket.on('disconnect', function() {
+         clearTimeout(warningTimer);
+         clearTimeout(logoffTimer);
+         // Closing (or restarting): leave the rooms as they are.
+         if (shuttingDown) return;
+      
+         if (cD.userName[socket.id]) {
+         
+            var displayName = setDisplayName(socket.id, 'prens');
+         
+            // Report at the server.
+            var message = displayName + ' has disconnected.';
+            log.info(message + ' (by self)', socketFields(socket.id, 'disconnect'));
+         
+            // Report to the room host.
+            var hostID = cD.hostID[cD.room[socket.id]];
+            io.to(hostID).emit('chat message', escapeHTML(message) + '.');
+            // The host only has game clients for players.
+            if (cD.role[socket.id] != 'spectator') {
+               io.to(hostID).emit('client-disconnected', cD.userName[socket.id]);
+               record(cD.room[socket.id], 'leave', socket.id, cD.userName[socket.id]);
+            }
+         
+            // Remove this user from the maps.
+            removeUserFromMaps(socket.id);
+         }
+      });
+   
+      socket.on('clientDisconnectByHost', function(msg) {
+         let clientName = msg;
+         let clientID = cD.id[clientName];
+      
+         // Send disconnect message to the client.
+         io.to(clientID).emit('disconnectByServer', {'name':clientName, 'originator':'host'});
+      
+         // Don't do the following. It will disconnect the host socket. Not what we want here!
+         //socket.disconnect();
+      });
+   
+      socket.on('okDisconnectMe', function(msg) {
+         // This event indicates that the non-host client has gotten the clientDisconnectByHost message (see above) and
+         // agrees to go peacefully.
+         var clientName = msg;
+         var clientID = cD.id[clientName];
+      
+         // Report this at the server.
+         var message = clientName + ' has disconnected';
+         log.info(message + ' (by host).', socketFields(clientID, 'okDisconnectMe'));
+      
+         // Report to the room host.
+         var hostID = cD.hostID[cD.room[clientID]];
+         io.to(hostID).emit('chat message', message);
+         if (cD.role[clientID] != 'spectator') {
+            io.to(hostID).emit('client-disconnected', clientName);
+            record(cD.room[clientID], 'leave', clientID, clientName);
+         }
+      
+         // Remove this user from the maps.
+         removeUserFromMaps(socket.id);
+      
+         //Finally, go ahead and disconnect this client's socket.
+         socket.disconnect();
+      });
+
+      socket.on('shutDown-p2p-deleteClient', function(msg) {
+         var clientName = msg;
+         var clientID = cD.id[clientName];
+         var hostID = cD.hostID[cD.room[clientID]];
+         io.to(hostID).emit('shutDown-p2p-deleteClient', clientName);   
+      });
+   
+      snapshots.attach(socket);
+
+      recordings.attach(socket);
+
+      lobby.attach(socket);
+
+      // The host can lock the room against new joins (e.g. mid-match), then unlock it later.
+      socket.on('room-lock', function(msg) {
+         var roomName = cD.room[socket.id];
+         if ((socket.id == cD.hostID[roomName]) && cD.roomAccess[roomName]) {
+            let locked = (msg && msg.locked === false) ? false : true;
+            setRoomLock(roomName, locked);
+            io.to(socket.id).emit('chat message', 'Room ' + escapeHTML(roomName) + ' is ' + ((locked) ? 'locked' : 'unlocked') + '.');
+         } else {
+            io.to(socket.id).emit('chat message', 'Requests to lock the room must come from the host.');
+         }
+      });
+   
+      inputBatching.attach(socket);
+
+      teams.attach(socket);
+
+      // Clients can switch between playing and watching. A spectator asking to play gets a free slot or a place on the waiting list.
+      socket.on('room-role', function(msg) {
+         var roomName = cD.room[socket.id];
+         if (!roomName || (socket.id == cD.hostID[roomName]) || !msg) return;
+      
+         if ((msg.role == 'player') && (cD.role[socket.id] == 'spectator') && !waitlistPosition(socket.id, roomName)) {
+            if (cD.hostID[roomName] && !roomIsFull(roomName) && !cD.waitlist[roomName]) {
+               addPlayer(socket.id, roomName, setDefault(msg.requestStream, false), setDefault(msg.player, null));
+            } else {
+               joinWaitlist(socket.id, roomName, setDefault(msg.requestStream, false), setDefault(msg.player, null));
+            }
+         
+         } else if ((msg.role == 'spectator') && waitlistPosition(socket.id, roomName)) {
+            leaveWaitlist(socket.id, roomName);
+         
+         } else if ((msg.role == 'spectator') && (cD.role[socket.id] == 'player')) {
+            cD.role[socket.id] = 'spectator';
+            io.to(cD.hostID[roomName]).emit('client-disconnected', cD.userName[socket.id]);
+            io.to(cD.hostID[roomName]).emit('chat message', displayNameHTML(socket.id, 'prens') + ' is now spectating in room ' + escapeHTML(roomName) + '.');
+            record(roomName, 'leave', socket.id, cD.userName[socket.id]);
+            fillOpenSlots(roomName);
+            lobbyChanged();
+         }
+         sendRole(socket.id, roomName);
+      });
+   
+      // During a host's grace window (see startHostGrace), clients can offer to take over the room.
+      socket.on('host-volunteer', function() {
+         let grace = cD.hostGrace[cD.room[socket.id]];
+         if (grace && !grace.volunteers.includes(socket.id)) {
+            grace.volunteers.push(socket.id);
+            log.info(cD.userName[socket.id] + ' volunteered to host room ' + cD.room[socket.id] + '.', socketFields(socket.id, 'host-volunteer'));
+         }
+      });
+   
+      socket.on('command-from-host-to-all-clients', function(msg) {
+         record(cD.room[socket.id], 'command-from-host-to-all-clients', socket.id, msg);
+         // General emit to the room.
+         io.to(cD.room[socket.id]).emit('command-from-host-to-all-clients', msg);
+         relayed('command-from-host-to-all-clients', socket.id, msg);
+      });
+   
+   });
+
+   // Ready once the state store and adapter are connected (and any saved rooms are restored).
+   const ready = Promise.all([store.ready, adapterReady]).then(function() {
+      try {
+         loadRestartState();
+      } catch (error) {
+         log.error('Could not restore the saved room state: ' + error.message, {'event':'startup'});
+      }
+   });
+
+   return {
+      'app': app,
+      'server': server,
+      'io': io,
+      'events': events,
+      'settings': settings,
+      'log': log,
+      'metrics': metrics,
+      'chatCommands': chatCommands,
+      'ready': ready,
+      // Listen on our server (not needed when the caller listens on its own). Resolves with the address.
+      'listen': function(port, host='0.0.0.0') {
+         return ready.then(() => new Promise(function(resolve, reject) {
+            server.once('error', reject);
+            server.listen(port, host, function() {
+               server.off('error', reject);
+               resolve(server.address());
+            });
+         }));
+      },
+      'close': close
+   };
+}
+
+module.exports = { createSpringsServer };
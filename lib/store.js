@@ -0,0 +1,354 @@
+// lib/store.js
+// Pluggable state store for the shared maps (userName, id, room, hostID, ...).
+
+/*
+The server reads these maps constantly and synchronously (for...in over cD.userName on every control message),
+so every backend keeps a full local copy and reads never leave the process. What differs is how writes
+reach the other server processes:
+
+   memory - nothing to share; a single process (the default)
+   file   - every write is appended to a JSONL journal that all processes on the machine tail. Also survives restarts.
+            The journal is rewritten as just the live entries whenever it grows past compactRatio times their size.
+   redis  - writes go to a Redis hash (for newcomers and restarts) and are published to the other processes.
+
+Each map is handed out as a Proxy, so it is used exactly like a plain object:
+
+   cD.userName = store.map('userName');
+   cD.userName[socket.id] = 'u1';
+   for (let socket_id in cD.userName) ...
+
+Every entry remembers which process (origin) wrote it. Processes send heartbeats; when one goes quiet for
+instanceTimeout_ms, the others drop its entries, since its sockets are gone with it.
+
+Note: only assignment is replicated. Changing a field inside a stored object must be done by assigning
+a new object.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./log');
+
+const heartbeat_ms = 10 * 1000;
+const instanceTimeout_ms = 30 * 1000;
+const compactAbove_bytes = 1024 * 1024;
+const compactRatio = 4;    // file journal: compact when it is this many times the size of the live entries
+
+function createSharedMap(entries, write) {
+   return new Proxy({}, {
+      'get': function(target, key) {
+         if (typeof key !== 'string') return undefined;
+         let entry = entries.get(key);
+         return (entry) ? entry.v : undefined;
+      },
+      'set': function(target, key, value) {
+         write('set', key, value);
+         return true;
+      },
+      'deleteProperty': function(target, key) {
+         if (entries.has(key)) write('del', key);
+         return true;
+      },
+      'has': function(target, key) {
+         return entries.has(key);
+      },
+      'ownKeys': function() {
+         return Array.from(entries.keys());
+      },
+      'getOwnPropertyDescriptor': function(target, key) {
+         let entry = entries.get(key);
+         if (!entry) return undefined;
+         return {'value':entry.v, 'writable':true, 'enumerable':true, 'configurable':true};
+      }
+   });
+}
+
+// File backend: a journal of operations (one JSON object per line) plus a directory of heartbeat files.
+// Every write appends the key's whole new value, so the journal is compacted (rewritten as the live entries) once it
+// passes compactRatio times their size, by whichever process checks first.
+function fileTransport(filePath) {
+   let heartbeatDir = filePath + '.instances';
+   let lockPath = filePath + '.lock';
+   let offset = 0, remainder = '', inode = null;
+   let liveBytes = 0;    // size of the journal right after the last compaction
+   let timers = [];
+
+   function readNewLines() {
+      let stat = fs.statSync(filePath);
+      if ((stat.ino !== inode) || (stat.size < offset)) {
+         // Compacted by another process: read the new journal from the top.
+         inode = stat.ino;
+         offset = 0;
+         remainder = '';
+      }
+      let size = stat.size;
+      if (size == offset) return [];
+
+      let buffer = Buffer.alloc(size - offset);
+      let fd = fs.openSync(filePath, 'r');
+      fs.readSync(fd, buffer, 0, buffer.length, offset);
+      fs.closeSync(fd);
+      offset = size;
+
+      let lines = (remainder + buffer.toString('utf8')).split('\n');
+      remainder = lines.pop();   // a partly written last line waits for the next read
+      return lines.filter(line => line.trim() != '').map(line => JSON.parse(line));
+   }
+
+   function takeLock(origin) {
+      // One compaction at a time. A lock left by a process that died mid-compaction goes stale.
+      try {
+         fs.writeFileSync(lockPath, origin, {'flag':'wx'});
+         return true;
+      } catch (error) {
+         try {
+            if (Date.now() - fs.statSync(lockPath).mtimeMs > instanceTimeout_ms) fs.unlinkSync(lockPath);
+         } catch (statError) {
+            // Released in the meantime.
+         }
+         return false;
+      }
+   }
+
+   function liveInstances(exceptOrigin) {
+      if (!fs.existsSync(heartbeatDir)) return [];
+      return fs.readdirSync(heartbeatDir).filter(function(origin) {
+         if (origin == exceptOrigin) return false;
+         return (Date.now() - fs.statSync(path.join(heartbeatDir, origin)).mtimeMs) < instanceTimeout_ms;
+      });
+   }
+
+   return {
+      'load': async function(origin) {
+         fs.mkdirSync(heartbeatDir, { recursive: true });
+         if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, '');
+         return readNewLines();
+      },
+      'compact': function(origin, snapshot) {
+         // snapshot(ops) applies the operations not yet seen and returns the live entries as 'set' operations.
+         if (fs.statSync(filePath).size < Math.max(compactAbove_bytes, compactRatio * liveBytes)) return;
+         if (!takeLock(origin)) return;
+         try {
+            let snapshotOps = snapshot(readNewLines());
+            let covered = offset - Buffer.byteLength(remainder);    // the snapshot includes everything before this
+            let text = snapshotOps.map(op => JSON.stringify(op) + '\n').join('');
+            let tempPath = filePath + '.' + origin + '.tmp';
+            fs.writeFileSync(tempPath, text);
+
+            // Other processes keep appending. What reached the old journal after the snapshot is carried over;
+            // after the rename, their appends go to the new one.
+            let oldFd = fs.openSync(filePath, 'r');
+            try {
+               fs.renameSync(tempPath, filePath);
+               let tail = Buffer.alloc(fs.fstatSync(oldFd).size - covered);
+               fs.readSync(oldFd, tail, 0, tail.length, covered);
+               if (tail.length > 0) fs.appendFileSync(filePath, tail);
+            } finally {
+               fs.closeSync(oldFd);
+            }
+            // Read the carried-over tail (others' operations) like any new lines.
+            inode = fs.statSync(filePath).ino;
+            offset = Buffer.byteLength(text);
+            remainder = '';
+            liveBytes = offset;
+         } finally {
+            fs.unlinkSync(lockPath);
+         }
+      },
+      'publish': function(op) {
+         fs.appendFileSync(filePath, JSON.stringify(op) + '\n');
+      },
+      'forget': function() {
+         // The journal already says who wrote what; compaction clears it out.
+      },
+      'subscribe': function(origin, onOp, onHeartbeat) {
+         timers.push(setInterval(function() {
+            for (let op of readNewLines()) onOp(op);
+         }, 100));
+         timers.push(setInterval(function() {
+            for (let other of liveInstances(origin)) onHeartbeat(other);
+         }, heartbeat_ms));
+         timers.forEach(timer => timer.unref());
+      },
+      'heartbeat': function(origin) {
+         fs.writeFileSync(path.join(heartbeatDir, origin), String(Date.now()));
+      },
+      'close': async function(origin) {
+         timers.forEach(timer => clearInterval(timer));
+         let heartbeatFile = path.join(heartbeatDir, origin);
+         if (fs.existsSync(heartbeatFile)) fs.unlinkSync(heartbeatFile);
+      }
+   };
+}
+
+// Redis backend: hash springs:state holds the current entries, channel springs:state carries the operations.
+function redisTransport(redisURL, keyPrefix, log) {
+   let { createClient } = require('redis');
+   let hashKey = keyPrefix + 'state', channel = keyPrefix + 'state';
+   let client = createClient({'url':redisURL});
+   let subscriber = client.duplicate();
+
+   function field(op) {
+      return op.m + '\n' + op.k;
+   }
+   function report(error) {
+      log.error('State store (redis): ' + error.message, {'event':'state-store'});
+   }
+   client.on('error', report);
+   subscriber.on('error', report);
+
+   return {
+      'load': async function(origin) {
+         await client.connect();
+         await subscriber.connect();
+         let ops = [];
+         let stored = await client.hGetAll(hashKey);
+         for (let key in stored) {
+            let [m, k] = key.split('\n');
+            let entry = JSON.parse(stored[key]);
+            ops.push({'op':'set', 'm':m, 'k':k, 'v':entry.v, 'o':entry.o});
+         }
+         return ops;
+      },
+      'compact': function() {},
+      'publish': function(op) {
+         if (op.op == 'set') client.hSet(hashKey, field(op), JSON.stringify({'v':op.v, 'o':op.o})).catch(report);
+         if (op.op == 'del') client.hDel(hashKey, field(op)).catch(report);
+         client.publish(channel, JSON.stringify(op)).catch(report);
+      },
+      'forget': function(entries) {
+         client.hDel(hashKey, entries.map(field)).catch(report);
+      },
+      'subscribe': function(origin, onOp, onHeartbeat) {
+         subscriber.subscribe(channel, function(message) {
+            let op = JSON.parse(message);
+            if (op.op == 'hb') {
+               onHeartbeat(op.o);
+            } else {
+               onOp(op);
+            }
+         }).catch(report);
+      },
+      'heartbeat': function(origin) {
+         client.publish(channel, JSON.stringify({'op':'hb', 'o':origin})).catch(report);
+      },
+      'close': async function() {
+         await subscriber.quit();
+         await client.quit();
+      }
+   };
+}
+
+// options: {backend, file, redisURL, keyPrefix, log}. Redis connection errors go to log.
+function createStore(options={}) {
+   let backend = options.backend || 'memory';
+   let log = options.log || createLogger();
+   let origin = crypto.randomBytes(6).toString('hex');
+   let maps = new Map();        // map name --> Map(key --> {'v':value, 'o':origin})
+   let lastSeen = new Map();    // origin --> ms of its last heartbeat (or first sighting)
+   let timers = [];
+   let transport = null;
+
+   if (backend == 'file') {
+      transport = fileTransport(options.file);
+   } else if (backend == 'redis') {
+      transport = redisTransport(options.redisURL, options.keyPrefix || 'springs:', log);
+   } else if (backend != 'memory') {
+      throw new Error('Unknown state store backend "' + backend + '" (use memory, file, or redis).');
+   }
+
+   function entriesOf(mapName) {
+      if (!maps.has(mapName)) maps.set(mapName, new Map());
+      return maps.get(mapName);
+   }
+
+   function apply(op) {
+      if (op.op == 'set') {
+         entriesOf(op.m).set(op.k, {'v':op.v, 'o':op.o});
+      } else if (op.op == 'del') {
+         entriesOf(op.m).delete(op.k);
+      } else if (op.op == 'exit') {
+         dropOrigin(op.o);
+         return;
+      }
+      if ((op.o != origin) && !lastSeen.has(op.o)) lastSeen.set(op.o, Date.now());
+   }
+
+   function dropOrigin(deadOrigin) {
+      // The process is gone, and so are its sockets. Forget what it wrote (every process does the same).
+      let forgotten = [];
+      for (let [mapName, entries] of maps) {
+         for (let [key, entry] of entries) {
+            if (entry.o == deadOrigin) {
+               entries.delete(key);
+               forgotten.push({'m':mapName, 'k':key});
+            }
+         }
+      }
+      lastSeen.delete(deadOrigin);
+      if (transport && forgotten.length > 0) transport.forget(forgotten);
+   }
+
+   function snapshot(newOps) {
+      // For compaction: catch up on the other processes' operations, then list the live entries as 'set' operations.
+      for (let op of newOps) {
+         if (op.o != origin) apply(op);
+      }
+      let snapshotOps = [];
+      for (let [mapName, entries] of maps) {
+         for (let [key, entry] of entries) snapshotOps.push({'op':'set', 'm':mapName, 'k':key, 'v':entry.v, 'o':entry.o});
+      }
+      return snapshotOps;
+   }
+
+   function write(mapName, type, key, value) {
+      let op = {'op':type, 'm':mapName, 'k':key, 'v':value, 'o':origin};
+      apply(op);
+      if (transport) transport.publish(op);
+   }
+
+   async function start() {
+      if (!transport) return;
+      for (let op of await transport.load(origin)) apply(op);
+
+      // Rewrite the journal as just the live entries (file backend, when it has grown), now and from time to time.
+      transport.compact(origin, snapshot);
+
+      transport.subscribe(origin, function(op) {
+         if (op.o == origin) return;
+         apply(op);
+         lastSeen.set(op.o, Date.now());
+      }, function(otherOrigin) {
+         lastSeen.set(otherOrigin, Date.now());
+      });
+
+      transport.heartbeat(origin);
+      timers.push(setInterval(function() {
+         transport.heartbeat(origin);
+         transport.compact(origin, snapshot);
+         for (let [otherOrigin, seen] of lastSeen) {
+            if (Date.now() - seen > instanceTimeout_ms) dropOrigin(otherOrigin);
+         }
+      }, heartbeat_ms));
+      timers.forEach(timer => timer.unref());
+   }
+
+   return {
+      'backend': backend,
+      'origin': origin,
+      'ready': start(),
+      'map': function(mapName) {
+         return createSharedMap(entriesOf(mapName), (type, key, value) => write(mapName, type, key, value));
+      },
+      'close': async function() {
+         timers.forEach(timer => clearInterval(timer));
+         if (!transport) return;
+         // Let the other processes drop this one's entries right away instead of waiting for the timeout.
+         dropOrigin(origin);
+         transport.publish({'op':'exit', 'o':origin});
+         await transport.close(origin);
+      }
+   };
+}
+
+module.exports = { createStore };
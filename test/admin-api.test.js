@@ -0,0 +1,67 @@
+// test/admin-api.test.js
+// The admin HTTP API: the token check, room details, kicks and broadcasts, and the moderation log.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, nextEvent, hostRoom, joinRoom } = require('./helpers');
+
+const adminToken = 'admin-secret';
+
+function adminRequest(server, method, route, body=null, token=adminToken) {
+   let headers = {'Authorization':'Bearer ' + token};
+   if (body) headers['Content-Type'] = 'application/json';
+   return fetch(server.url + '/admin' + route, {'method':method, 'headers':headers, 'body':(body) ? JSON.stringify(body) : undefined});
+}
+
+test('the admin API is off without a token, and refuses a wrong one', async function(t) {
+   const off = await startServer();
+   t.after(() => off.close());
+   assert.strictEqual((await adminRequest(off, 'GET', '/rooms')).status, 404);
+
+   const server = await startServer({'adminToken':adminToken});
+   t.after(() => server.close());
+   assert.strictEqual((await adminRequest(server, 'GET', '/rooms', null, 'wrong')).status, 401);
+   assert.strictEqual((await fetch(server.url + '/admin/rooms')).status, 401);
+});
+
+test('rooms are listed with their members, and users can be kicked and rooms told', async function(t) {
+   const server = await startServer({'adminToken':adminToken});
+   t.after(() => server.close());
+   const host = await hostRoom(server, 'r1', {'nickName':'boss'});
+   const client = await joinRoom(server, 'r1');
+
+   const rooms = await (await adminRequest(server, 'GET', '/rooms')).json();
+   assert.deepStrictEqual(rooms.rooms.map(room => [room.name, room.host, room.memberCount]), [['r1', 'u1', 2]]);
+
+   const room = await (await adminRequest(server, 'GET', '/rooms/r1')).json();
+   assert.deepStrictEqual(room.members.map(member => [member.userName, member.nickName, member.role]), [['u1', 'boss', 'host'], ['u2', null, 'client']]);
+   assert.ok(room.members.every(member => !Number.isNaN(Date.parse(member.connectedAt))));
+   assert.strictEqual((await adminRequest(server, 'GET', '/rooms/nosuch')).status, 404);
+
+   const notice = nextEvent(client, 'chat message', message => message.includes('Server notice'));
+   assert.strictEqual((await adminRequest(server, 'POST', '/broadcast', {'message':'restart at noon', 'room':'r1'})).status, 200);
+   assert.strictEqual(await notice, '<strong>Server notice:</strong> restart at noon');
+   assert.strictEqual((await adminRequest(server, 'POST', '/broadcast', {})).status, 400);
+
+   const asked = nextEvent(client, 'disconnectByServer');
+   assert.deepStrictEqual(await (await adminRequest(server, 'POST', '/users/u2/kick')).json(), {'kicked':'u2'});
+   assert.deepStrictEqual(await asked, {'name':'u2', 'originator':'admin'});
+   assert.strictEqual((await adminRequest(server, 'POST', '/users/u9/kick')).status, 404);
+   assert.ok(host.connected);
+});
+
+test('the moderation log is returned by room, without damaged lines', async function(t) {
+   const server = await startServer({'adminToken':adminToken});
+   t.after(() => server.close());
+   const logsDir = path.join(server.baseDir, 'logs');
+   fs.mkdirSync(logsDir, { recursive: true });
+   fs.writeFileSync(path.join(logsDir, 'moderation.jsonl'), [JSON.stringify({'room':'r1', 'action':'mute', 'target':'u2'}), 'null',
+                                                             '{"room":"r2", "act', JSON.stringify({'room':'r2', 'action':'kick', 'target':'u5'})].join('\n') + '\n');
+
+   const all = await (await adminRequest(server, 'GET', '/moderation')).json();
+   assert.deepStrictEqual(all.entries.map(entry => entry.action), ['mute', 'kick']);
+   const r2 = await (await adminRequest(server, 'GET', '/moderation?room=r2')).json();
+   assert.deepStrictEqual(r2.entries.map(entry => entry.target), ['u5']);
+});
@@ -0,0 +1,69 @@
+// test/certificates.test.js
+// Development HTTPS: the local CA, the server certificate issued from it, when it is issued again, and /ca.crt.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ensureCertificates, localNames } = require('../lib/certificates');
+const { createLogger } = require('../lib/log');
+const { startServer, makeBaseDir } = require('./helpers');
+
+const log = createLogger({'level':'error'});
+
+function certificateIn(sslDir, fileName='cert.pem') {
+   return new crypto.X509Certificate(fs.readFileSync(path.join(sslDir, fileName)));
+}
+
+test('the server certificate comes from the local CA and names every local address', function(t) {
+   const sslDir = path.join(makeBaseDir(), 'ssl');
+   t.after(() => fs.rmSync(path.dirname(sslDir), { recursive: true, force: true }));
+
+   const result = ensureCertificates({'sslDir':sslDir, 'subject':'springs.test', 'lifetime_d':365, 'log':log});
+   assert.strictEqual(result.issued, true);
+   assert.strictEqual(result.caCertPath, path.join(sslDir, 'ca-cert.pem'));
+   const certificate = certificateIn(sslDir);
+   const ca = certificateIn(sslDir, 'ca-cert.pem');
+   assert.ok(certificate.checkIssued(ca) && certificate.verify(ca.publicKey));
+   assert.ok(certificate.subjectAltName.includes('DNS:springs.test'));
+   assert.deepStrictEqual(result.names, localNames('springs.test'));
+   assert.strictEqual(fs.statSync(path.join(sslDir, 'ca-key.pem')).mode & 0o777, 0o600);
+
+   assert.strictEqual(ensureCertificates({'sslDir':sslDir, 'subject':'springs.test', 'lifetime_d':365, 'log':log}).issued, false);
+});
+
+test('the certificate is issued again when it is from another CA, or for a new name, and the CA is kept', function(t) {
+   const sslDir = path.join(makeBaseDir(), 'ssl');
+   t.after(() => fs.rmSync(path.dirname(sslDir), { recursive: true, force: true }));
+   ensureCertificates({'sslDir':sslDir, 'subject':'springs.test', 'lifetime_d':365, 'log':log});
+   const caFingerprint = certificateIn(sslDir, 'ca-cert.pem').fingerprint256;
+
+   assert.strictEqual(ensureCertificates({'sslDir':sslDir, 'subject':'other.test', 'lifetime_d':365, 'log':log}).issued, true);
+   assert.ok(certificateIn(sslDir).subjectAltName.includes('DNS:other.test'));
+
+   // Another CA's certificate in place of the server's.
+   fs.copyFileSync(path.join(sslDir, 'ca-cert.pem'), path.join(sslDir, 'cert.pem'));
+   assert.strictEqual(ensureCertificates({'sslDir':sslDir, 'subject':'other.test', 'lifetime_d':365, 'log':log}).issued, true);
+   assert.strictEqual(certificateIn(sslDir, 'ca-cert.pem').fingerprint256, caFingerprint);
+});
+
+test('a short-lived certificate is not issued again on every start', function(t) {
+   const sslDir = path.join(makeBaseDir(), 'ssl');
+   t.after(() => fs.rmSync(path.dirname(sslDir), { recursive: true, force: true }));
+
+   assert.strictEqual(ensureCertificates({'sslDir':sslDir, 'subject':'springs.test', 'lifetime_d':7, 'log':log}).issued, true);
+   assert.strictEqual(ensureCertificates({'sslDir':sslDir, 'subject':'springs.test', 'lifetime_d':7, 'log':log}).issued, false);
+});
+
+test('the CA certificate is offered as DER and PEM', async function(t) {
+   const sslDir = path.join(makeBaseDir(), 'ssl');
+   t.after(() => fs.rmSync(path.dirname(sslDir), { recursive: true, force: true }));
+   const { caCertPath } = ensureCertificates({'sslDir':sslDir, 'subject':'springs.test', 'lifetime_d':365, 'log':log});
+   const server = await startServer({'caCert':caCertPath});
+   t.after(() => server.close());
+
+   const der = Buffer.from(await (await fetch(server.url + '/ca.crt')).arrayBuffer());
+   assert.strictEqual(new crypto.X509Certificate(der).fingerprint256, certificateIn(sslDir, 'ca-cert.pem').fingerprint256);
+   assert.strictEqual(await (await fetch(server.url + '/ca.pem')).text(), fs.readFileSync(caCertPath, 'utf8'));
+});
@@ -0,0 +1,81 @@
+// test/chat-commands.test.js
+// Slash commands: parsing, who may run what, commands that need a room, and project commands from commands/.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createCommandRegistry, parseCommandLine } = require('../lib/chat-commands');
+const { createLogger } = require('../lib/log');
+const { startServer, makeBaseDir, nextEvent, hostRoom, joinRoom } = require('./helpers');
+
+function runCommand(registry, text, context) {
+   let replies = [];
+   let handled = registry.handle(text, Object.assign({'roles':['client'], 'reply':message => replies.push(message)}, context));
+   return {'handled':handled, 'replies':replies};
+}
+
+async function chatCommand(socket, text) {
+   let reply = nextEvent(socket, 'chat message');
+   socket.emit('chat message', text);
+   return reply;
+}
+
+test('a command line splits into a lower-case name and words, with quotes keeping spaces', function() {
+   assert.deepStrictEqual(parseCommandLine('/KICK "big bob" now'), {'name':'kick', 'args':['big bob', 'now']});
+   assert.deepStrictEqual(parseCommandLine('/'), {'name':'', 'args':[]});
+});
+
+test('the registry checks roles, room, arguments, and answers for a command that throws', function() {
+   const logged = [];
+   const registry = createCommandRegistry({'log':createLogger({'errorOutput':{'write':line => logged.push(line)}})});
+   const runs = [];
+   registry.register('kick', {'roles':['host'], 'room':true, 'usage':'<name>', 'minArgs':1, 'aliases':['boot'],
+                              'run':(context, args) => runs.push(args)});
+   registry.register('oops', {'run':function() { throw new Error('broken'); }});
+
+   assert.strictEqual(runCommand(registry, 'hello', {}).handled, false);
+   assert.deepStrictEqual(runCommand(registry, '/nosuch', {}).replies, ['Unknown command /nosuch. Try /help.']);
+   assert.deepStrictEqual(runCommand(registry, '/kick bob', {'roomName':'r1'}).replies, ['/kick is for host only.']);
+   assert.deepStrictEqual(runCommand(registry, '/kick bob', {'roles':['client', 'admin']}).replies, ['You are not in a room.']);
+   assert.deepStrictEqual(runCommand(registry, '/boot', {'roles':['client', 'host'], 'roomName':'r1'}).replies, ['Usage: /boot <name>']);
+   runCommand(registry, '/boot bob', {'roles':['client', 'host'], 'roomName':'r1'});
+   assert.deepStrictEqual(runs, [['bob']]);
+   assert.deepStrictEqual(runCommand(registry, '/oops', {}).replies, ['/oops failed.']);
+   assert.match(logged[0], /Chat command \/oops failed: Error: broken/);
+
+   assert.deepStrictEqual(registry.list(['client']).map(command => command.name), ['oops']);
+});
+
+test('room commands from an admin outside a room are refused', async function(t) {
+   const server = await startServer({'adminToken':'admin-secret'});
+   t.after(() => server.close());
+   const host = await hostRoom(server, 'r1');
+   const client = await joinRoom(server, 'r1');
+
+   const admin = server.connect();
+   await nextEvent(admin, 'your name is');
+   assert.match(await chatCommand(admin, '/login admin-secret'), /logged in as admin/);
+   assert.strictEqual(await chatCommand(admin, '/dcir'), 'You are not in a room.');
+   assert.strictEqual(await chatCommand(admin, '/mute u2'), 'You are not in a room.');
+   assert.ok(host.connected && client.connected);
+
+   assert.match(await chatCommand(client, '/dcir'), /is for host only/);
+   assert.match(await chatCommand(host, '/who'), /In room r1: /);
+});
+
+test('commands in the commands directory are loaded at start', async function(t) {
+   const baseDir = makeBaseDir();
+   fs.mkdirSync(path.join(baseDir, 'commands'));
+   fs.writeFileSync(path.join(baseDir, 'commands', 'roll.js'),
+      "module.exports = function(chatCommands) {\n" +
+      "   chatCommands.register('roll', {'help':'Roll a die.', 'run':context => context.reply('You rolled 4.')});\n" +
+      "};\n");
+   const server = await startServer({'baseDir':baseDir});
+   t.after(() => server.close());
+
+   const client = server.connect();
+   await nextEvent(client, 'your name is');
+   assert.strictEqual(await chatCommand(client, '/roll'), 'You rolled 4.');
+   assert.match(await chatCommand(client, '/help'), /\/roll : Roll a die\./);
+});
@@ -0,0 +1,59 @@
+// test/chat-moderation.test.js
+// Chat cleaning and moderation: the sanitizer, the word filter, names escaped in chat, and muting.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { escapeHTML, sanitizeHTML, createWordFilter } = require('../lib/sanitize');
+const { startServer, nextEvent, wait, collect, hostRoom, joinRoom } = require('./helpers');
+
+// The reply to a command (or the next chat line that passes the test).
+async function chatCommand(socket, text, test=null) {
+   let reply = nextEvent(socket, 'chat message', test);
+   socket.emit('chat message', text);
+   return reply;
+}
+
+test('the sanitizer keeps bare allowed tags and escapes everything else', function() {
+   assert.strictEqual(escapeHTML('<a href="x">\'&'), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;');
+   assert.strictEqual(sanitizeHTML('<B>bold</B> <br/> <i>'), '<b>bold</b> <br> <i>');
+   assert.strictEqual(sanitizeHTML('<b onclick="x()">hi</b>'), '&lt;b onclick=&quot;x()&quot;&gt;hi</b>');
+   assert.strictEqual(sanitizeHTML('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+});
+
+test('the word filter stars whole listed words in any case', function() {
+   const filter = createWordFilter(['darn', ' ', 'a.b']);
+   assert.strictEqual(filter('Darn it, darned a.b axb'), '**** it, darned *** axb');
+   assert.strictEqual(createWordFilter([])('darn'), 'darn');
+});
+
+test('relayed chat is filtered as typed, then sanitized, and names are escaped', async function(t) {
+   const server = await startServer({'wordList':['amp']});
+   t.after(() => server.close());
+   const host = await hostRoom(server, 'r1');
+   const client = await joinRoom(server, 'r1', {'nickName':'<img src=x>'});
+
+   const relayed = nextEvent(host, 'chat message', message => message.includes('hi'));
+   client.emit('chat message', '<b>hi</b> &amp <script>');
+   assert.strictEqual(await relayed, '<b>hi</b> &amp;*** &lt;script&gt; (&lt;img src=x&gt;, u2)');
+
+   assert.match(await chatCommand(host, '/rr', message => message.startsWith('sockets=')), /u2\(&lt;img src=x&gt;\)/);
+});
+
+test('a muted user\'s chat is not relayed until unmuted', async function(t) {
+   const server = await startServer();
+   t.after(() => server.close());
+   const host = await hostRoom(server, 'r1');
+   const client = await joinRoom(server, 'r1', {'nickName':'<i>bob'});
+   const relayed = collect(host, 'chat message');
+
+   const told = nextEvent(client, 'chat message');
+   assert.strictEqual(await chatCommand(host, '/mute u2', message => message.endsWith('muted.')), 'u2 is muted.');
+   assert.strictEqual(await told, 'You have been muted by the host.');
+   assert.strictEqual(await chatCommand(client, 'hello'), 'You are muted in this room.');
+   assert.strictEqual(await chatCommand(host, '/modlist'), 'Muted: u2<br>Blocked: nobody');
+
+   assert.strictEqual(await chatCommand(host, '/unmute <i>bob'), '&lt;i&gt;bob is no longer muted.');
+   client.emit('chat message', 'hello again');
+   await wait(100);
+   assert.deepStrictEqual(relayed.filter(message => message.startsWith('hello')), ['hello again (&lt;i&gt;bob, u2)']);
+});
@@ -0,0 +1,70 @@
+// test/embedding.test.js
+// The server as a library: lifecycle events, attaching to a caller's server and app, and what is served statically.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { io } = require('socket.io-client');
+const { createSpringsServer } = require('../lib/springs-server');
+const { createLogger } = require('../lib/log');
+const { startServer, makeBaseDir, nextEvent, hostRoom, joinRoom } = require('./helpers');
+
+test('lifecycle events follow rooms and members', async function(t) {
+   const server = await startServer();
+   t.after(() => server.close());
+   const created = nextEvent(server.springs.events, 'room-created');
+   const joined = nextEvent(server.springs.events, 'client-joined');
+
+   const host = await hostRoom(server, 'r1');
+   assert.strictEqual((await created).roomName, 'r1');
+   await joinRoom(server, 'r1', {'nickName':'amy'});
+   assert.deepStrictEqual([(await joined).userName, (await joined).nickName, (await joined).seat], ['u2', 'amy', 'player']);
+
+   // The room then waits for its host (host migration) rather than closing.
+   const left = nextEvent(server.springs.events, 'host-left');
+   host.close();
+   assert.deepStrictEqual([(await left).roomName, (await left).userName], ['r1', 'u1']);
+});
+
+test('on a caller\'s server and app, close() leaves the server serving the caller\'s routes', async function(t) {
+   const baseDir = makeBaseDir();
+   t.after(() => fs.rmSync(baseDir, { recursive: true, force: true }));
+   fs.writeFileSync(path.join(baseDir, 'links.html'), 'links');
+   const app = express();
+   app.get('/mine', (req, res) => res.send('mine'));
+   const server = http.createServer(app);
+   const springs = createSpringsServer({'server':server, 'app':app, 'baseDir':baseDir, 'sessionSecret':'test-secret',
+                                        'settings':{'pingInterval_s':0}, 'log':createLogger({'level':'error'})});
+   await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+   t.after(() => new Promise(resolve => server.close(resolve)));
+   const url = 'http://127.0.0.1:' + server.address().port;
+
+   // No staticRoot given: the caller's app serves no files of ours.
+   assert.strictEqual((await fetch(url + '/')).status, 404);
+   assert.strictEqual((await (await fetch(url + '/status')).json()).status, 'ok');
+
+   const socket = io(url, {'auth':{'mode':'normal'}, 'reconnection':false, 'transports':['websocket']});
+   await nextEvent(socket, 'your name is');
+   const disconnected = nextEvent(socket, 'disconnect');
+   await springs.close();
+   await disconnected;
+   assert.ok(server.listening);
+   assert.strictEqual(await (await fetch(url + '/mine')).text(), 'mine');
+});
+
+test('private directories are not served, whatever the case or trailing dots', async function(t) {
+   const baseDir = makeBaseDir();
+   fs.mkdirSync(path.join(baseDir, 'ssl'));
+   fs.writeFileSync(path.join(baseDir, 'ssl', 'ca-key.pem'), 'secret');
+   fs.writeFileSync(path.join(baseDir, 'links.html'), 'links');
+   const server = await startServer({'baseDir':baseDir, 'settings':{'staticRoot':baseDir}});
+   t.after(() => server.close());
+
+   assert.strictEqual(await (await fetch(server.url + '/')).text(), 'links');
+   for (let route of ['/ssl/ca-key.pem', '/SSL/ca-key.pem', '/ssl./ca-key.pem', '/./Ssl/ca-key.pem', '/%73sl/ca-key.pem']) {
+      assert.strictEqual((await fetch(server.url + route)).status, 404, route);
+   }
+});
@@ -0,0 +1,100 @@
+// test/helpers.js
+// A Springs server in a temporary directory, and Socket.io clients to drive it.
+
+/*
+   const server = await startServer({'adminToken':'secret'});
+   const host = server.connect({'nickName':'boss'});
+   host.emit('roomJoin', {'roomName':'r1', 'hostOrClient':'host'});
+   let msg = await nextEvent(host, 'room-joining-message');
+   ...
+   await server.close();    // closes the clients too, and removes the directory
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+const { createSpringsServer } = require('../lib/springs-server');
+const { createLogger } = require('../lib/log');
+
+function makeBaseDir() {
+   return fs.mkdtempSync(path.join(os.tmpdir(), 'springs-test-'));
+}
+
+// options are createSpringsServer's; settings are added to the test defaults (no latency pings).
+async function startServer(options={}) {
+   let baseDir = options.baseDir || makeBaseDir();
+   let springs = createSpringsServer(Object.assign({'sessionSecret':'test-secret', 'log':createLogger({'level':'error'})}, options,
+                                                   {'baseDir':baseDir, 'settings':Object.assign({'pingInterval_s':0}, options.settings)}));
+   let address = await springs.listen(0, '127.0.0.1');
+   let url = 'http://127.0.0.1:' + address.port;
+   let clients = [];
+
+   return {
+      'springs': springs,
+      'baseDir': baseDir,
+      'url': url,
+
+      // A new client; auth is the handshake (mode 'normal' unless given).
+      'connect': function(auth={}) {
+         let socket = io(url, {'auth':Object.assign({'mode':'normal'}, auth), 'reconnection':false, 'transports':['websocket']});
+         clients.push(socket);
+         return socket;
+      },
+
+      // keepDir leaves the directory for a second server (restart tests).
+      'close': async function(closeOptions={}) {
+         await springs.close(closeOptions);
+         for (let socket of clients) socket.close();
+         if (!closeOptions.keepDir) fs.rmSync(baseDir, { recursive: true, force: true });
+      }
+   };
+}
+
+// The first payload of the next event (that passes the test, if given); rejects after timeout_ms.
+function nextEvent(socket, event, test=null, timeout_ms=2000) {
+   return new Promise(function(resolve, reject) {
+      let timer = setTimeout(function() {
+         socket.off(event, listener);
+         reject(new Error('No ' + event + ' within ' + timeout_ms + ' ms'));
+      }, timeout_ms);
+      function listener(payload) {
+         if (test && !test(payload)) return;
+         clearTimeout(timer);
+         socket.off(event, listener);
+         resolve(payload);
+      }
+      socket.on(event, listener);
+   });
+}
+
+// Every payload of an event from now on, in an array that fills as they arrive.
+function collect(socket, event) {
+   let payloads = [];
+   socket.on(event, payload => payloads.push(payload));
+   return payloads;
+}
+
+function wait(ms) {
+   return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Connect a host and make it the host of roomName. Resolves to the host socket.
+async function hostRoom(server, roomName, auth={}, join={}) {
+   let host = server.connect(auth);
+   let joined = nextEvent(host, 'room-joining-message', msg => /host of room/.test(msg.message));
+   host.emit('roomJoin', Object.assign({'roomName':roomName, 'hostOrClient':'host'}, join));
+   await joined;
+   return host;
+}
+
+// Connect a client and join it to roomName. Resolves to the client socket.
+async function joinRoom(server, roomName, auth={}, join={}) {
+   let client = server.connect(auth);
+   let joined = nextEvent(client, 'room-joining-message');
+   client.emit('roomJoin', Object.assign({'roomName':roomName, 'hostOrClient':'client'}, join));
+   await joined;
+   return client;
+}
+
+module.exports = { startServer, makeBaseDir, nextEvent, collect, wait, hostRoom, joinRoom };
@@ -0,0 +1,48 @@
+// test/ice-config.test.js
+// ICE servers for the pages: TURN credentials in the shared-secret scheme, by socket event and over HTTP.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { iceConfig, turnCredentials } = require('../lib/ice-config');
+const { startServer, nextEvent } = require('./helpers');
+
+const turnSettings = {'stunURLs':['stun:stun.example.com:3478'], 'turnURLs':['turn:turn.example.com:3478'], 'turnSecret':'turn-secret', 'turnLifetime_m':60};
+
+test('a TURN credential is the expiry and user name, signed with the secret', function() {
+   const now_ms = Date.parse('2026-01-01T00:00:00Z');
+   const credentials = turnCredentials('turn-secret', 'u2', 3600, now_ms);
+   assert.strictEqual(credentials.username, (now_ms / 1000 + 3600) + ':u2');
+   assert.strictEqual(credentials.credential, crypto.createHmac('sha1', 'turn-secret').update(credentials.username).digest('base64'));
+   assert.strictEqual(credentials.expiresAt, '2026-01-01T01:00:00.000Z');
+});
+
+test('TURN is left out without a user name, TURN URLs or a secret', function() {
+   const config = iceConfig(turnSettings, 'u2');
+   assert.deepStrictEqual([config.turn, config.ttl_s, config.iceServers.length], [true, 3600, 2]);
+   assert.strictEqual(config.iceServers[1].username.split(':')[1], 'u2');
+
+   const stunOnly = {'iceServers':[{'urls':turnSettings.stunURLs}], 'turn':false, 'ttl_s':null, 'expiresAt':null};
+   assert.deepStrictEqual(iceConfig(turnSettings, null), stunOnly);
+   assert.deepStrictEqual(iceConfig(Object.assign({}, turnSettings, {'turnSecret':null}), 'u2'), stunOnly);
+   assert.deepStrictEqual(iceConfig(Object.assign({}, turnSettings, {'turnURLs':[]}), 'u2'), stunOnly);
+});
+
+test('the server hands out credentials to sockets, and over HTTP with a resume token', async function(t) {
+   const server = await startServer({'settings':Object.assign({}, turnSettings)});
+   t.after(() => server.close());
+   const socket = server.connect();
+   const session = await nextEvent(socket, 'your name is');
+
+   const reply = nextEvent(socket, 'ice-config');
+   socket.emit('ice-config');
+   assert.strictEqual((await reply).iceServers[1].username.split(':')[1], session.name);
+
+   const url = server.url + '/ice-config?userName=' + session.name;
+   const withToken = await fetch(url, {'headers':{'Authorization':'Bearer ' + session.token}});
+   assert.strictEqual((await withToken.json()).turn, true);
+   assert.strictEqual((await (await fetch(url)).json()).turn, false);
+
+   const wrongUser = await fetch(server.url + '/ice-config?userName=u99', {'headers':{'Authorization':'Bearer ' + session.token}});
+   assert.deepStrictEqual([wrongUser.status, (await wrongUser.json()).error], [401, 'wrong-name']);
+});
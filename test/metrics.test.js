@@ -0,0 +1,41 @@
+// test/metrics.test.js
+// The metrics registry's text format, and the server's /metrics (labels limited to known events).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRegistry } = require('../lib/metrics');
+const { startServer, nextEvent, wait, hostRoom } = require('./helpers');
+
+test('counters, gauges and histograms render in the Prometheus text format', function() {
+   const registry = createRegistry('t_');
+   const counter = registry.counter('events_total', 'Events.');
+   counter.inc({'event':'say "hi"\n'});
+   counter.inc({'event':'say "hi"\n'}, 2);
+   registry.gauge('rooms', 'Rooms.', () => [[{'room':'r1'}, 3]]);
+   registry.histogram('duration_seconds', 'Duration.', [0.1, 1]).observe({'event':'x'}, 0.5);
+
+   assert.strictEqual(registry.render(),
+      '# HELP t_events_total Events.\n# TYPE t_events_total counter\nt_events_total{event="say \\"hi\\"\\n"} 3\n' +
+      '# HELP t_rooms Rooms.\n# TYPE t_rooms gauge\nt_rooms{room="r1"} 3\n' +
+      '# HELP t_duration_seconds Duration.\n# TYPE t_duration_seconds histogram\n' +
+      't_duration_seconds_bucket{event="x",le="0.1"} 0\nt_duration_seconds_bucket{event="x",le="1"} 1\n' +
+      't_duration_seconds_bucket{event="x",le="+Inf"} 1\nt_duration_seconds_sum{event="x"} 0.5\nt_duration_seconds_count{event="x"} 1\n');
+});
+
+test('/metrics counts events, and events the server does not know only as other', async function(t) {
+   const server = await startServer();
+   t.after(() => server.close());
+   const host = await hostRoom(server, 'r1');
+   host.emit('chat message', 'hello');
+   await nextEvent(host, 'chat message', message => message.startsWith('hello'));
+   host.emit('made-up-event-1', 1);
+   host.emit('made-up-event-2', 2);
+   await wait(100);
+
+   const text = await (await fetch(server.url + '/metrics')).text();
+   assert.match(text, /^springs_rooms 1$/m);
+   assert.match(text, /^springs_room_clients\{room="r1"\} 1$/m);
+   assert.match(text, /^springs_messages_total\{event="chat message"\} 1$/m);
+   assert.match(text, /^springs_messages_total\{event="other"\} 2$/m);
+   assert.doesNotMatch(text, /made-up-event/);
+});
@@ -0,0 +1,38 @@
+// test/rate-limit.test.js
+// Per-socket event budgets: the token bucket, and the server dropping (and warning about) a flood.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../lib/rate-limit');
+const config = require('../lib/config');
+const { startServer, nextEvent, collect, wait, hostRoom, joinRoom } = require('./helpers');
+
+test('a bucket allows its burst, then drops and counts by budget', function() {
+   const limiter = createRateLimiter({'chat':{'rate':0.001, 'burst':3}, 'other':{'rate':0.001, 'burst':1}}, {'chat message':'chat'});
+   const allowed = [1, 2, 3, 4].map(() => limiter.allow('chat message'));
+   assert.deepStrictEqual(allowed, [true, true, true, false]);
+   assert.strictEqual(limiter.budgetFor('constructor'), 'other');
+   assert.strictEqual(limiter.counters.droppedByBudget.chat, 1);
+});
+
+test('the rateLimits setting takes text and keeps the budgets not named', function() {
+   const limits = config.createConfig({'env':{'SPRINGS_RATE_LIMITS':'chat=1/3'}}).values.rateLimits;
+   assert.deepStrictEqual(limits.chat, {'rate':1, 'burst':3});
+   assert.deepStrictEqual(limits.input, config.settings.rateLimits.default.input);
+   assert.throws(() => config.createConfig({'env':{'SPRINGS_RATE_LIMITS':'chat=0/3'}}), /rateLimits/);
+   assert.throws(() => config.createConfig({'env':{'SPRINGS_RATE_LIMITS':'nosuch=1/3'}}), /rateLimits/);
+});
+
+test('chat past the budget is dropped, and the sender is warned', async function(t) {
+   const server = await startServer({'settings':{'rateLimits':{'chat':{'rate':0.001, 'burst':3}}}});
+   t.after(() => server.close());
+   const host = await hostRoom(server, 'r1');
+   const client = await joinRoom(server, 'r1');
+   const relayed = collect(host, 'chat message');
+
+   const warning = nextEvent(client, 'rate-limit-warning');
+   for (let i = 0; i < 6; i++) client.emit('chat message', 'hello ' + i);
+   assert.deepStrictEqual(await warning, {'event':'chat message', 'budget':'chat'});
+   await wait(100);
+   assert.deepStrictEqual(relayed.filter(message => message.startsWith('hello')).map(message => message.split(' ')[1]), ['0', '1', '2']);
+});
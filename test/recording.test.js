@@ -0,0 +1,72 @@
+// test/recording.test.js
+// Room recordings: who may list them, and replaying one (damaged lines and all) into a host.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, makeBaseDir, nextEvent, collect, hostRoom, joinRoom } = require('./helpers');
+
+function writeRecording(baseDir, fileName, roomName, lines) {
+   let dir = path.join(baseDir, 'recordings');
+   fs.mkdirSync(dir, { recursive: true });
+   let header = JSON.stringify({'type':'header', 'room':roomName, 'started':new Date().toISOString()});
+   fs.writeFileSync(path.join(dir, fileName), [header].concat(lines).join('\n') + '\n');
+}
+
+async function startWithRecordings() {
+   let baseDir = makeBaseDir();
+   writeRecording(baseDir, 'r1_a.jsonl', 'r1', [JSON.stringify({'t':0, 'event':'client-mK-event', 'from':'u9', 'data':{'mX':1}}),
+                                                '{"t":5, "event":"client-mK-ev',
+                                                JSON.stringify({'t':10, 'event':'client-mK-event', 'from':'u9', 'data':{'mX':2}})]);
+   writeRecording(baseDir, 'r2_b.jsonl', 'r2', []);
+   return startServer({'baseDir':baseDir, 'adminToken':'admin-secret'});
+}
+
+async function recordingList(socket) {
+   let list = nextEvent(socket, 'recording-list');
+   socket.emit('recording-list');
+   return list;
+}
+
+test('recordings are listed to admins (all), hosts (their room) and nobody else', async function(t) {
+   const server = await startWithRecordings();
+   t.after(() => server.close());
+
+   const host = await hostRoom(server, 'r1');
+   assert.deepStrictEqual(await recordingList(host), ['r1_a.jsonl']);
+
+   const client = await joinRoom(server, 'r1');
+   assert.deepStrictEqual(await recordingList(client), []);
+
+   const loose = server.connect();
+   await nextEvent(loose, 'your name is');
+   assert.deepStrictEqual(await recordingList(loose), []);
+
+   const admin = server.connect();
+   await nextEvent(admin, 'your name is');
+   const loggedIn = nextEvent(admin, 'chat message');
+   admin.emit('chat message', '/login admin-secret');
+   assert.match(await loggedIn, /logged in as admin/);
+   assert.deepStrictEqual(await recordingList(admin), ['r1_a.jsonl', 'r2_b.jsonl']);
+});
+
+test('a replay skips damaged lines and only plays the host\'s own room', async function(t) {
+   const server = await startWithRecordings();
+   t.after(() => server.close());
+   const host = await hostRoom(server, 'r1');
+
+   let status = nextEvent(host, 'replay-status');
+   host.emit('replay-recording', {'fileName':'r2_b.jsonl'});
+   assert.deepStrictEqual(await status, {'playing':false, 'reason':'no-such-recording'});
+
+   const events = collect(host, 'client-mK-StH-event');
+   status = nextEvent(host, 'replay-status');
+   host.emit('replay-recording', {'fileName':'r1_a.jsonl', 'rate':10});
+   const started = await status;
+   assert.strictEqual(started.events, 2);
+   assert.strictEqual(started.skipped, 1);
+
+   assert.strictEqual((await nextEvent(host, 'replay-status')).reason, 'finished');
+   assert.deepStrictEqual(events, [{'mX':1}, {'mX':2}]);
+});
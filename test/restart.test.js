@@ -0,0 +1,67 @@
+// test/restart.test.js
+// Graceful shutdown and restore: the shutdown notice, and hosts and clients put back in their rooms after a restart.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, nextEvent } = require('./helpers');
+
+// Connect, and join roomName. Resolves to the socket and the session (user name and resume token) it was given.
+async function joinWithSession(server, roomName, hostOrClient, nickName) {
+   let socket = server.connect({'nickName':nickName});
+   let session = await nextEvent(socket, 'your name is');
+   let joined = nextEvent(socket, 'room-joining-message');
+   socket.emit('roomJoin', {'roomName':roomName, 'hostOrClient':hostOrClient});
+   await joined;
+   return {'socket':socket, 'session':session};
+}
+
+// A room with a host and one client, then a restart. Resolves to the new server and the two sessions.
+async function restartWithRoom(t) {
+   const first = await startServer();
+   const host = await joinWithSession(first, 'r1', 'host', 'boss');
+   const client = await joinWithSession(first, 'r1', 'client', 'amy');
+   const said = nextEvent(client.socket, 'chat message', message => message.startsWith('before'));
+   host.socket.emit('chat message', 'before the restart');
+   await said;
+
+   const shutdown = nextEvent(client.socket, 'server-shutdown');
+   await first.close({'restart':true, 'reason':'upgrade', 'keepDir':true});
+   assert.strictEqual((await shutdown).reason, 'upgrade');
+
+   const server = await startServer({'baseDir':first.baseDir});
+   t.after(() => server.close());
+   return {'server':server, 'sessions':{'host':host.session, 'client':client.session}};
+}
+
+function reconnect(server, session) {
+   return server.connect({'mode':'re-connect', 'currentName':session.name, 'token':session.token});
+}
+
+test('a host back after its clients gets the roster, the chat history and its room', async function(t) {
+   const { server, sessions } = await restartWithRoom(t);
+
+   const client = reconnect(server, sessions.client);
+   assert.deepStrictEqual(await nextEvent(client, 'session-restored'), {'roomName':'r1', 'host':false, 'role':'player', 'nickName':'amy', 'teamName':null});
+
+   const host = reconnect(server, sessions.host);
+   const history = nextEvent(host, 'chat history');
+   const restored = nextEvent(host, 'session-restored');
+   const migrated = await nextEvent(host, 'host-migrated');
+   assert.deepStrictEqual(migrated.roster.map(member => member.userName).sort(), [sessions.host.name, sessions.client.name].sort());
+   assert.strictEqual((await history).messages[0].text, 'before the restart');
+   assert.strictEqual((await restored).host, true);
+});
+
+test('a client back after its host is announced to the host as a new game client', async function(t) {
+   const { server, sessions } = await restartWithRoom(t);
+
+   const host = reconnect(server, sessions.host);
+   await nextEvent(host, 'session-restored');
+
+   const gameClient = nextEvent(host, 'new-game-client');
+   reconnect(server, sessions.client);
+   assert.deepStrictEqual(await gameClient, {'clientName':sessions.client.name, 'requestStream':false, 'player':null, 'nickName':'amy', 'teamName':null});
+   assert.ok(!fs.existsSync(path.join(server.baseDir, 'state', 'restart.json')));
+});
@@ -0,0 +1,24 @@
+// test/resume-token.test.js
+// Re-connect mode: the user name is only honored with the resume token issued for it.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, nextEvent } = require('./helpers');
+
+test('re-connect keeps the user name with its token, and refuses it without one', async function(t) {
+   const server = await startServer();
+   t.after(() => server.close());
+
+   const first = server.connect();
+   const issued = await nextEvent(first, 'your name is');
+   first.close();
+
+   const resumed = server.connect({'mode':'re-connect', 'currentName':issued.name, 'token':issued.token});
+   assert.strictEqual((await nextEvent(resumed, 'your name is')).name, issued.name);
+
+   const forged = server.connect({'mode':'re-connect', 'currentName':issued.name, 'token':'e30.not-a-signature'});
+   assert.strictEqual((await nextEvent(forged, 'session-rejected')).reason, 'bad-signature');
+
+   const otherName = server.connect({'mode':'re-connect', 'currentName':'u99', 'token':issued.token});
+   assert.strictEqual((await nextEvent(otherName, 'session-rejected')).reason, 'wrong-name');
+});
@@ -0,0 +1,45 @@
+// test/schemas.test.js
+// Inbound payload checks: the validator, and the server dropping a bad payload with an 'error' reply.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { schemas, validate } = require('../lib/schemas');
+const { startServer, nextEvent, wait, collect, hostRoom } = require('./helpers');
+
+test('payloads are checked for type, enum, length, range, size and required fields', function() {
+   assert.strictEqual(validate('roomJoin', {'roomName':'r1', 'hostOrClient':'host', 'teams':[{'name':'Red', 'maxSize':4}]}), null);
+   assert.strictEqual(validate('no-such-event', 'anything'), null);
+
+   assert.deepStrictEqual(validate('roomJoin', undefined), {'field':null, 'reason':'wrong-type', 'message':'The payload must be an object.'});
+   assert.deepStrictEqual(validate('roomJoin', {}), {'field':'roomName', 'reason':'missing', 'message':'roomName is required.'});
+   assert.strictEqual(validate('roomJoin', {'roomName':'r1', 'hostOrClient':'referee'}).reason, 'not-allowed');
+   assert.strictEqual(validate('roomJoin', {'roomName':''}).reason, 'too-short');
+   assert.strictEqual(validate('chat message', 'x'.repeat(2001)).reason, 'too-long');
+   assert.strictEqual(validate('roomJoin', {'roomName':'r1', 'maxPlayers':1.5}).reason, 'wrong-type');
+   assert.deepStrictEqual(validate('roomJoin', {'roomName':'r1', 'teams':[{'name':'Red'}, {'name':'Blue', 'maxSize':-1}]}),
+                          {'field':'teams[1].maxSize', 'reason':'out-of-range', 'message':'teams[1].maxSize must be from 0 to 1000.'});
+   assert.strictEqual(validate('client-mK-event', {'blob':'x'.repeat(9000)}).reason, 'too-large');
+   assert.strictEqual(validate('input-batching', {'positionFields':new Array(33).fill('x')}).reason, 'too-many');
+});
+
+test('a bad payload is dropped and the sender told why', async function(t) {
+   const server = await startServer();
+   t.after(() => server.close());
+   const host = await hostRoom(server, 'r1');
+   const relayed = collect(host, 'chat message');
+
+   const error = nextEvent(host, 'error');
+   host.emit('chat message', {'not':'text'});
+   assert.deepStrictEqual(await error, {'event':'chat message', 'field':null, 'reason':'wrong-type', 'message':'The payload must be a string.'});
+   await wait(100);
+   assert.deepStrictEqual(relayed, []);
+});
+
+test('the schemas are served for pages to check against', async function(t) {
+   const server = await startServer();
+   t.after(() => server.close());
+
+   const response = await fetch(server.url + '/schemas');
+   assert.deepStrictEqual(await response.json(), JSON.parse(JSON.stringify(schemas)));
+   assert.match(await (await fetch(server.url + '/schemas.js')).text(), /window\.springsSchemas/);
+});
@@ -0,0 +1,65 @@
+// test/snapshot.test.js
+// Late-join snapshots: full states and merge-patch deltas from the host, sent to clients that join later.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, nextEvent, hostRoom, joinRoom } = require('./helpers');
+
+async function sendSnapshot(host, msg) {
+   let ack = nextEvent(host, 'room-snapshot-ack');
+   host.emit('room-snapshot', msg);
+   return ack;
+}
+
+test('a late joiner gets the state with the deltas merged in', async function(t) {
+   const server = await startServer();
+   t.after(() => server.close());
+   const host = await hostRoom(server, 'r1');
+
+   assert.deepStrictEqual(await sendSnapshot(host, {'version':1, 'state':{'pucks':{'p1':{'x':1}, 'p2':{'x':2}}, 'score':0}}),
+                          {'ok':true, 'reason':null, 'version':1});
+   assert.strictEqual((await sendSnapshot(host, {'version':2, 'baseVersion':1, 'delta':{'pucks':{'p1':{'x':5}, 'p2':null}, 'score':3}})).ok, true);
+   assert.strictEqual((await sendSnapshot(host, {'version':3, 'baseVersion':1, 'delta':{'score':4}})).reason, 'version-mismatch');
+
+   const client = server.connect();
+   const snapshot = nextEvent(client, 'room-snapshot');
+   client.emit('roomJoin', {'roomName':'r1', 'hostOrClient':'client'});
+   const msg = await snapshot;
+   assert.strictEqual(msg.version, 2);
+   assert.deepStrictEqual(msg.state, {'pucks':{'p1':{'x':5}}, 'score':3});
+});
+
+test('prototype keys in a delta are ignored', async function(t) {
+   const server = await startServer();
+   t.after(() => server.close());
+   const host = await hostRoom(server, 'r1');
+
+   await sendSnapshot(host, {'version':1, 'state':{'a':1}});
+   // As it arrives from the wire: "__proto__" as an own key.
+   const delta = JSON.parse('{"__proto__":{"' + host.id + '":true, "polluted":true}, "constructor":{"prototype":{"polluted":true}}, "b":2}');
+   assert.strictEqual((await sendSnapshot(host, {'version':2, 'baseVersion':1, 'delta':delta})).ok, true);
+   assert.strictEqual(({}).polluted, undefined);
+   assert.strictEqual(({})[host.id], undefined);
+
+   // Still not an admin.
+   const reply = nextEvent(host, 'chat message');
+   host.emit('chat message', '/help');
+   assert.doesNotMatch(await reply, /\/dac/);
+
+   const client = await joinRoom(server, 'r1');
+   assert.ok(client.connected);
+});
+
+test('snapshot payloads are checked', async function(t) {
+   const server = await startServer();
+   t.after(() => server.close());
+   const host = await hostRoom(server, 'r1');
+
+   let error = nextEvent(host, 'error');
+   host.emit('room-snapshot', {'version':1, 'state':'not an object'});
+   assert.strictEqual((await error).field, 'state');
+
+   error = nextEvent(host, 'error');
+   host.emit('room-snapshot', {'version':2, 'baseVersion':1, 'delta':{'big':'x'.repeat(600 * 1024)}});
+   assert.deepStrictEqual([(await error).field, (await error).reason], ['delta', 'too-large']);
+});
@@ -0,0 +1,97 @@
+// test/store.test.js
+// The state store backends: maps shared between store instances, a closed store's entries, and file journal compaction.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('../lib/store');
+const { createMiniRedis } = require('../lib/mini-redis');
+const { createLogger } = require('../lib/log');
+const { makeBaseDir, wait } = require('./helpers');
+
+const log = createLogger({'level':'error'});
+
+async function openStore(options) {
+   let store = createStore(Object.assign({'log':log}, options));
+   await store.ready;
+   return store;
+}
+
+async function until(check, timeout_ms=2000) {
+   for (let waited = 0; !check(); waited += 20) {
+      if (waited > timeout_ms) throw new Error('Timed out');
+      await wait(20);
+   }
+}
+
+test('memory: maps behave like plain objects', async function() {
+   const store = await openStore({'backend':'memory'});
+   const rooms = store.map('room');
+   rooms['s1'] = 'r1';
+   rooms['s2'] = 'r2';
+   delete rooms['s2'];
+   assert.deepStrictEqual(Object.keys(rooms), ['s1']);
+   assert.ok('s1' in rooms);
+   await store.close();
+});
+
+test('file: stores on one journal share writes, and drop what a closed store wrote', async function(t) {
+   const baseDir = makeBaseDir();
+   t.after(() => fs.rmSync(baseDir, { recursive: true, force: true }));
+   const file = path.join(baseDir, 'state.jsonl');
+
+   const a = await openStore({'backend':'file', 'file':file});
+   const b = await openStore({'backend':'file', 'file':file});
+   a.map('room')['s1'] = 'r1';
+   b.map('teams')['r1'] = [{'name':'Red'}];
+   await until(() => (b.map('room')['s1'] == 'r1') && a.map('teams')['r1']);
+   delete a.map('room')['s1'];
+   await until(() => !('s1' in b.map('room')));
+
+   // A newcomer reads the journal; a store that closes takes its entries (its sockets' state) with it.
+   a.map('room')['s3'] = 'r1';
+   const c = await openStore({'backend':'file', 'file':file});
+   assert.deepStrictEqual([c.map('room')['s3'], c.map('teams')['r1']], ['r1', [{'name':'Red'}]]);
+   await a.close();
+   await until(() => !('s3' in c.map('room')) && !('s3' in b.map('room')));
+   assert.deepStrictEqual(c.map('teams')['r1'], [{'name':'Red'}]);
+   await b.close();
+   await c.close();
+});
+
+test('file: a grown journal is compacted to the live entries', async function(t) {
+   const baseDir = makeBaseDir();
+   t.after(() => fs.rmSync(baseDir, { recursive: true, force: true }));
+   const file = path.join(baseDir, 'state.jsonl');
+
+   const a = await openStore({'backend':'file', 'file':file});
+   const history = a.map('chatHistory');
+   for (let i = 0; i < 60; i++) history['r1'] = {'n':i, 'text':'x'.repeat(20000)};
+   assert.ok(fs.statSync(file).size > 1024 * 1024);
+
+   // Compaction runs at start (and then with the heartbeat), with other stores running.
+   const b = await openStore({'backend':'file', 'file':file});
+   assert.ok(fs.statSync(file).size < 50 * 1000);
+   assert.strictEqual(b.map('chatHistory')['r1'].n, 59);
+   history['r1'] = {'n':60, 'text':'after'};
+   await until(() => b.map('chatHistory')['r1'].n == 60);
+   await a.close();
+   await b.close();
+});
+
+test('redis: stores share writes through the server', async function(t) {
+   const redis = createMiniRedis();
+   await new Promise(resolve => redis.listen(0, '127.0.0.1', resolve));
+   t.after(() => redis.close());
+   const redisURL = 'redis://127.0.0.1:' + redis.address().port;
+
+   const a = await openStore({'backend':'redis', 'redisURL':redisURL});
+   a.map('room')['s1'] = 'r1';
+   const b = await openStore({'backend':'redis', 'redisURL':redisURL});
+   await until(() => b.map('room')['s1'] == 'r1');
+   b.map('room')['s2'] = 'r2';
+   await until(() => a.map('room')['s2'] == 'r2');
+   await a.close();
+   await b.close();
+});